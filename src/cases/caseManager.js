@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { AppError } = require('../utils/errors');
+
+const STATUSES = ['OPEN', 'IN_REVIEW', 'CONFIRMED_FRAUD', 'FALSE_POSITIVE', 'CLOSED'];
+
+// Statuses a case may move to from each status; reopening goes back through review
+const TRANSITIONS = {
+    OPEN: ['IN_REVIEW', 'CLOSED'],
+    IN_REVIEW: ['OPEN', 'CONFIRMED_FRAUD', 'FALSE_POSITIVE'],
+    CONFIRMED_FRAUD: ['IN_REVIEW', 'CLOSED'],
+    FALSE_POSITIVE: ['IN_REVIEW', 'CLOSED'],
+    CLOSED: ['OPEN']
+};
+
+// Review outcomes; a case keeps its resolution when closed and loses it when reopened
+const RESOLUTIONS = ['CONFIRMED_FRAUD', 'FALSE_POSITIVE'];
+
+const requireString = (value, name) => {
+    if (typeof value !== 'string' || value.trim() === '') {
+        throw new AppError(`${name} must be a non-empty string`, 400);
+    }
+    return value.trim();
+};
+
+// Review cases for flagged transactions, one per fraud record and sharing its id, persisted in the fraud store
+class CaseManager {
+    constructor(store) {
+        this.store = store;
+        // Tail of the update chain for each case id with an update in progress
+        this.updates = new Map();
+    }
+
+    // Run read-modify-write updates of one case one at a time, so concurrent updates
+    // see each other's changes instead of overwriting them
+    async serialize(id, update) {
+        const key = String(Number(id));
+        const previous = this.updates.get(key) || Promise.resolve();
+        const current = previous.catch(() => {}).then(update);
+        this.updates.set(key, current);
+
+        try {
+            return await current;
+        } finally {
+            if (this.updates.get(key) === current) {
+                this.updates.delete(key);
+            }
+        }
+    }
+
+    // Open a case for a newly stored fraud record
+    async open(record) {
+        const now = new Date().toISOString();
+        const fraudCase = {
+            id: record.id,
+            transactionId: record.transactionId,
+            userId: record.userId,
+            riskScore: record.riskScore,
+            decision: record.decision,
+            // Base-currency amount, so confirmed-fraud totals add up across currencies
+            amount: record.normalizedAmount !== undefined ? record.normalizedAmount : record.amount,
+            rules: record.violations.map(violation => violation.rule),
+            status: 'OPEN',
+            resolution: null,
+            assignee: null,
+            notes: [],
+            history: [{ from: null, to: 'OPEN', actor: 'system', reason: null, at: now }],
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await this.store.saveCase(fraudCase);
+        return fraudCase;
+    }
+
+    async list({ status, assignee } = {}) {
+        if (status !== undefined && !STATUSES.includes(status)) {
+            throw new AppError(`status must be one of ${STATUSES.join(', ')}`, 400);
+        }
+
+        return this.store.getCases({ status, assignee });
+    }
+
+    async get(id) {
+        const fraudCase = Number.isInteger(Number(id)) ? await this.store.getCase(Number(id)) : null;
+        if (!fraudCase) {
+            throw new AppError(`Case ${id} not found`, 404);
+        }
+        return fraudCase;
+    }
+
+    // Move a case to another status; transitions outside TRANSITIONS are rejected with 409
+    async transition(id, { status, actor, reason } = {}) {
+        if (!STATUSES.includes(status)) {
+            throw new AppError(`status must be one of ${STATUSES.join(', ')}`, 400);
+        }
+        const by = requireString(actor, 'actor');
+
+        return this.serialize(id, async () => {
+            const fraudCase = await this.get(id);
+            const from = fraudCase.status;
+            if (!TRANSITIONS[from].includes(status)) {
+                throw new AppError(
+                    `Cannot move case ${fraudCase.id} from ${from} to ${status} (allowed: ${TRANSITIONS[from].join(', ')})`,
+                    409
+                );
+            }
+
+            const now = new Date().toISOString();
+            const previousResolution = fraudCase.resolution;
+            fraudCase.status = status;
+            if (RESOLUTIONS.includes(status)) {
+                fraudCase.resolution = status;
+            } else if (status !== 'CLOSED') {
+                fraudCase.resolution = null;
+            }
+            fraudCase.history.push({ from, to: status, actor: by, reason: reason || null, at: now });
+            fraudCase.updatedAt = now;
+
+            await this.store.saveCase(fraudCase);
+            metrics.recordCaseTransition(from, status);
+            if (fraudCase.resolution !== previousResolution) {
+                await this.getRuleStats();
+            }
+
+            logger.info('Case status changed', { id: fraudCase.id, from, to: status, actor: by });
+            return fraudCase;
+        });
+    }
+
+    // Label a case from an external source such as a chargeback, whatever its status; returns null when it already has the label
+    async label(id, resolution, { actor, reason } = {}) {
+        if (!RESOLUTIONS.includes(resolution)) {
+            throw new AppError(`resolution must be one of ${RESOLUTIONS.join(', ')}`, 400);
+        }
+
+        return this.serialize(id, async () => {
+            const fraudCase = await this.get(id);
+            if (fraudCase.resolution === resolution) {
+                return null;
+            }
+
+            const now = new Date().toISOString();
+            const from = fraudCase.status;
+            fraudCase.status = resolution;
+            fraudCase.resolution = resolution;
+            fraudCase.history.push({ from, to: resolution, actor: requireString(actor, 'actor'), reason: reason || null, at: now });
+            fraudCase.updatedAt = now;
+
+            await this.store.saveCase(fraudCase);
+            metrics.recordCaseTransition(from, resolution);
+            await this.getRuleStats();
+
+            logger.info('Case labelled', { id: fraudCase.id, from, resolution, actor });
+            return fraudCase;
+        });
+    }
+
+    // Per-rule hits, analyst labels, precision and confirmed-fraud amount, also published as gauges.
+    // Precision is confirmed / (confirmed + false positive) and null until a hit is labelled; the
+    // counts are aggregated by the fraud store rather than by loading every case
+    async getRuleStats() {
+        const ruleStats = await this.store.getCaseRuleStats();
+
+        Object.values(ruleStats).forEach(stats => {
+            const labelled = stats.confirmedFraud + stats.falsePositive;
+            stats.precision = labelled > 0 ? stats.confirmedFraud / labelled : null;
+            stats.confirmedFraudAmount = Math.round(stats.confirmedFraudAmount * 100) / 100;
+        });
+
+        metrics.updateRuleFeedback(ruleStats);
+        return ruleStats;
+    }
+
+    // Assign a case to an analyst, or unassign it with a null assignee
+    async assign(id, { assignee, actor } = {}) {
+        const to = assignee === null ? null : requireString(assignee, 'assignee');
+        const by = requireString(actor, 'actor');
+
+        return this.serialize(id, async () => {
+            const fraudCase = await this.get(id);
+            fraudCase.assignee = to;
+            fraudCase.updatedAt = new Date().toISOString();
+
+            await this.store.saveCase(fraudCase);
+
+            logger.info('Case assigned', { id: fraudCase.id, assignee: to, actor: by });
+            return fraudCase;
+        });
+    }
+
+    async addNote(id, { author, text } = {}) {
+        const note = {
+            id: crypto.randomUUID(),
+            author: requireString(author, 'author'),
+            text: requireString(text, 'text'),
+            createdAt: new Date().toISOString()
+        };
+
+        return this.serialize(id, async () => {
+            const fraudCase = await this.get(id);
+            fraudCase.notes.push(note);
+            fraudCase.updatedAt = note.createdAt;
+
+            await this.store.saveCase(fraudCase);
+
+            logger.info('Case note added', { id: fraudCase.id, noteId: note.id, author: note.author });
+            return note;
+        });
+    }
+}
+
+CaseManager.STATUSES = STATUSES;
+CaseManager.TRANSITIONS = TRANSITIONS;
+CaseManager.RESOLUTIONS = RESOLUTIONS;
+
+module.exports = CaseManager;
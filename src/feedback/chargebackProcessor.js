@@ -0,0 +1,140 @@
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { ValidationError } = require('../utils/errors');
+
+const EVENT_TYPES = ['chargeback', 'fraud_confirmation'];
+
+const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+
+// Ids may be strings or numbers, as in the transaction schema
+const isIdentifier = value => isNonEmptyString(value) || (typeof value === 'number' && Number.isFinite(value));
+
+// Check a chargeback/fraud-confirmation event; returns one { path, code, message } per invalid field
+const validateEvent = (event) => {
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+        return [{ path: '', code: 'invalid_type', message: 'Chargeback event must be a JSON object' }];
+    }
+
+    const errors = [];
+    const fail = (field, code, message) => errors.push({ path: `/${field}`, code, message });
+
+    if (event.transactionId === undefined) {
+        fail('transactionId', 'required', 'Missing required field: transactionId');
+    } else if (!isIdentifier(event.transactionId)) {
+        fail('transactionId', 'invalid_type', 'Transaction ID must be a non-empty string or a number');
+    }
+    if (event.type !== undefined && !EVENT_TYPES.includes(event.type)) {
+        fail('type', 'invalid_value', `type must be one of ${EVENT_TYPES.join(', ')}`);
+    }
+    if (event.userId !== undefined && !isIdentifier(event.userId)) {
+        fail('userId', 'invalid_type', 'User ID must be a non-empty string or a number');
+    }
+    if (event.amount !== undefined && !(typeof event.amount === 'number' && event.amount > 0)) {
+        fail('amount', 'out_of_range', 'Amount must be a positive number');
+    }
+    if (event.currency !== undefined && !(typeof event.currency === 'string' && /^[A-Z]{3}$/.test(event.currency))) {
+        fail('currency', 'invalid_format', 'Currency must be a three-letter ISO 4217 code');
+    }
+    if (event.reportedAt !== undefined && isNaN(new Date(event.reportedAt).getTime())) {
+        fail('reportedAt', 'invalid_format', 'Invalid reportedAt format');
+    }
+
+    return errors;
+};
+
+// Applies chargebacks and fraud confirmations: flagged transactions get their case labelled
+// CONFIRMED_FRAUD, unflagged ones are recorded as misses so recall can be measured
+class ChargebackProcessor {
+    constructor(store, cases) {
+        this.store = store;
+        this.cases = cases;
+    }
+
+    // Returns { outcome, ... } where outcome is "labelled", "already_labelled" or "missed"
+    async process(event, fxRates) {
+        const errors = validateEvent(event);
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+
+        const type = event.type || 'chargeback';
+        const reportedAt = new Date(event.reportedAt || Date.now()).toISOString();
+        // Compared as strings, so a numeric id matches the record whichever form the transaction used
+        const transactionId = String(event.transactionId);
+        const records = await this.store.getAll({ transactionId });
+
+        if (records.length > 0) {
+            const reason = [type, event.reasonCode].filter(Boolean).join(' ');
+            const labelled = [];
+            for (const record of records) {
+                if (await this.cases.label(record.id, 'CONFIRMED_FRAUD', { actor: type, reason })) {
+                    labelled.push(record.id);
+                }
+            }
+
+            const outcome = labelled.length > 0 ? 'labelled' : 'already_labelled';
+            metrics.recordChargeback(type, outcome);
+            await this.getRecall();
+
+            logger.info('Chargeback matched flagged transaction', {
+                transactionId,
+                type,
+                outcome,
+                caseIds: records.map(record => record.id)
+            });
+            return { outcome, transactionId, caseIds: records.map(record => record.id) };
+        }
+
+        const miss = {
+            transactionId,
+            userId: event.userId !== undefined ? String(event.userId) : null,
+            type,
+            reasonCode: event.reasonCode || null,
+            amount: event.amount !== undefined ? event.amount : null,
+            currency: event.currency || null,
+            normalizedAmount: event.amount !== undefined ? fxRates.normalize(event.amount, event.currency).amount : null,
+            reportedAt,
+            recordedAt: new Date().toISOString()
+        };
+
+        await this.store.saveMiss(miss);
+        metrics.recordChargeback(type, 'missed');
+        await this.getRecall();
+
+        logger.warn('Confirmed fraud was not flagged by any rule', {
+            transactionId: miss.transactionId,
+            userId: miss.userId,
+            type,
+            amount: miss.amount
+        });
+        return { outcome: 'missed', transactionId: miss.transactionId, miss };
+    }
+
+    async getMisses() {
+        return this.store.getMisses();
+    }
+
+    // Share of confirmed frauds that were flagged: caught / (caught + missed), null until one is known.
+    // Caught counts cases resolved CONFIRMED_FRAUD, whether by an analyst or a chargeback; also published as gauges
+    async getRecall() {
+        const caught = await this.store.countCases({ resolution: 'CONFIRMED_FRAUD' });
+        const misses = await this.store.getMissTotals();
+        const confirmedFraud = caught + misses.count;
+
+        const recall = {
+            confirmedFraud,
+            caught,
+            missed: misses.count,
+            recall: confirmedFraud > 0 ? caught / confirmedFraud : null,
+            missedAmount: Math.round(misses.amount * 100) / 100
+        };
+
+        metrics.updateRecall(recall);
+        return recall;
+    }
+}
+
+ChargebackProcessor.EVENT_TYPES = EVENT_TYPES;
+ChargebackProcessor.validateEvent = validateEvent;
+
+module.exports = ChargebackProcessor;
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+
+const DEFAULT_FX_RATES_PATH = path.join(__dirname, '../../config/fxRates.json');
+
+const getFxRatesPath = (ratesPath) => ratesPath || process.env.FX_RATES_PATH || DEFAULT_FX_RATES_PATH;
+
+const validateRateTable = (table) => {
+    if (!table || typeof table !== 'object') {
+        throw new Error('FX rate table must be an object');
+    }
+    if (typeof table.baseCurrency !== 'string' || !/^[A-Z]{3}$/.test(table.baseCurrency)) {
+        throw new Error('baseCurrency must be a three-letter ISO 4217 code');
+    }
+    if (!table.rates || typeof table.rates !== 'object' || Array.isArray(table.rates)) {
+        throw new Error('rates must be an object of currency codes to rates');
+    }
+
+    Object.entries(table.rates).forEach(([currency, rate]) => {
+        if (!/^[A-Z]{3}$/.test(currency)) {
+            throw new Error(`Rate currency "${currency}" is not a three-letter ISO 4217 code`);
+        }
+        if (typeof rate !== 'number' || !(rate > 0)) {
+            throw new Error(`Rate for ${currency} must be a positive number`);
+        }
+    });
+
+    return {
+        baseCurrency: table.baseCurrency,
+        asOf: table.asOf || null,
+        rates: { ...table.rates, [table.baseCurrency]: 1 }
+    };
+};
+
+// Offline FX rates: how much one unit of each currency is worth in the base currency
+class FxRateTable {
+    constructor(table, { source = 'file' } = {}) {
+        const { baseCurrency, asOf, rates } = validateRateTable(table);
+        this.baseCurrency = baseCurrency;
+        this.asOf = asOf;
+        this.rates = rates;
+        this.source = source;
+        this.loadedAt = new Date().toISOString();
+    }
+
+    // Amount in the base currency; transactions without a currency are taken to be in it already
+    convert(amount, currency = this.baseCurrency) {
+        const rate = this.rates[currency];
+        if (rate === undefined) {
+            throw new AppError(`Unsupported currency: ${currency}`, 422);
+        }
+
+        return {
+            amount: Math.round(amount * rate * 100) / 100,
+            rate,
+            baseCurrency: this.baseCurrency
+        };
+    }
+
+    has(currency = this.baseCurrency) {
+        return this.rates[currency] !== undefined;
+    }
+
+    // Like convert, but a currency missing from the table falls back to the raw amount with fxUnavailable
+    // set, so a transaction in an uncommon currency is still evaluated rather than failing
+    normalize(amount, currency = this.baseCurrency) {
+        if (!this.has(currency)) {
+            return { amount, rate: null, baseCurrency: this.baseCurrency, fxUnavailable: true };
+        }
+        return { ...this.convert(amount, currency), fxUnavailable: false };
+    }
+
+    describe() {
+        return {
+            baseCurrency: this.baseCurrency,
+            asOf: this.asOf,
+            source: this.source,
+            loadedAt: this.loadedAt,
+            rates: { ...this.rates }
+        };
+    }
+
+    static load(ratesPath) {
+        const filePath = getFxRatesPath(ratesPath);
+        const table = new FxRateTable(JSON.parse(fs.readFileSync(filePath, 'utf8')), { source: filePath });
+
+        logger.info('FX rates loaded', {
+            path: filePath,
+            baseCurrency: table.baseCurrency,
+            asOf: table.asOf,
+            currencies: Object.keys(table.rates).length
+        });
+
+        return table;
+    }
+}
+
+FxRateTable.DEFAULT_FX_RATES_PATH = DEFAULT_FX_RATES_PATH;
+
+module.exports = FxRateTable;
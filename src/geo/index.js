@@ -0,0 +1,56 @@
+const centroids = require('./centroids.json');
+
+const EARTH_RADIUS_KM = 6371;
+
+const normalize = (name) => name.trim().toLowerCase();
+
+// Lookup tables keyed by lower-cased name; aliases resolve to their country's centroid
+const CITIES = new Map(Object.entries(centroids.cities).map(([name, point]) => [normalize(name), point]));
+const COUNTRIES = new Map([
+    ...Object.entries(centroids.countries).map(([name, point]) => [normalize(name), point]),
+    ...Object.entries(centroids.aliases).map(([alias, country]) => [normalize(alias), centroids.countries[country]])
+]);
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two { latitude, longitude } points
+const haversineKm = (from, to) => {
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Centroid for a city or country name such as "London", "Nigeria" or "Lagos, Nigeria"; null when unknown
+const lookupCentroid = (location) => {
+    if (typeof location !== 'string' || location.trim() === '') {
+        return null;
+    }
+
+    const candidates = [location, ...location.split(',')].map(normalize);
+    for (const candidate of candidates) {
+        const point = CITIES.get(candidate) || COUNTRIES.get(candidate);
+        if (point) {
+            return { latitude: point[0], longitude: point[1] };
+        }
+    }
+    return null;
+};
+
+// Where a transaction happened: its own coordinates when given, otherwise the centroid of its location
+const resolveCoordinates = (transaction) => {
+    if (typeof transaction.latitude === 'number' && typeof transaction.longitude === 'number') {
+        return { latitude: transaction.latitude, longitude: transaction.longitude, source: 'coordinates' };
+    }
+
+    const centroid = lookupCentroid(transaction.location);
+    return centroid ? { ...centroid, source: 'centroid' } : null;
+};
+
+module.exports = {
+    haversineKm,
+    lookupCentroid,
+    resolveCoordinates
+};
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { AppError } = require('../utils/errors');
+
+// Rolls repeated violations of the same rule by the same user into incidents, and decides which
+// flagged transactions are worth a downstream notification; incidents are persisted in the fraud store
+class IncidentManager {
+    constructor(store, options = {}) {
+        this.store = store;
+        // A violation joins the user's incident for the rule when its transaction is within this many seconds
+        // of the incident's first-seen/last-seen range; 0 opens an incident per hit
+        this.windowSeconds = options.windowSeconds !== undefined
+            ? options.windowSeconds
+            : parseInt(process.env.INCIDENT_WINDOW_SECONDS || '3600', 10);
+        // An incident notifies at most once per suppression window; 0 notifies on every hit
+        this.suppressionSeconds = options.suppressionSeconds !== undefined
+            ? options.suppressionSeconds
+            : parseInt(process.env.ALERT_SUPPRESSION_SECONDS || '3600', 10);
+        this.maxTransactionIds = options.maxTransactionIds || 1000;
+        // Recordings run one at a time so concurrent hits of a rule cannot open two incidents
+        this.recording = Promise.resolve();
+    }
+
+    // Whether a hit at the given event time joins the incident
+    accepts(incident, eventTime) {
+        const windowMs = this.windowSeconds * 1000;
+        return this.windowSeconds > 0
+            && eventTime >= new Date(incident.firstSeen).getTime() - windowMs
+            && eventTime <= new Date(incident.lastSeen).getTime() + windowMs;
+    }
+
+    // Group a flagged transaction's violations into incidents. Grouping runs on the transactions' own
+    // timestamps, suppression on wall-clock time; suppressed is true when every incident the transaction
+    // touched was already notified within the suppression window
+    record(transaction, violations, now = new Date()) {
+        const recorded = this.recording.then(() => this.group(transaction, violations, now));
+        this.recording = recorded.catch(() => {});
+        return recorded;
+    }
+
+    // Only the latest incident per user and rule is read back, so nothing is held in memory between hits
+    async group(transaction, violations, now) {
+        const eventTime = new Date(transaction.timestamp);
+        const seenAt = eventTime.toISOString();
+        const notifiedAt = now.toISOString();
+        const rules = [...new Set(violations.map(violation => violation.rule))];
+        const touched = [];
+        let notify = false;
+
+        for (const rule of rules) {
+            let [incident] = await this.store.getIncidents({ userId: transaction.userId, rule, limit: 1 });
+
+            if (!incident || !this.accepts(incident, eventTime.getTime())) {
+                incident = {
+                    id: crypto.randomUUID(),
+                    userId: transaction.userId,
+                    rule,
+                    severity: violations.find(violation => violation.rule === rule).severity,
+                    count: 0,
+                    transactionIds: [],
+                    firstSeen: seenAt,
+                    lastSeen: seenAt,
+                    lastNotifiedAt: null,
+                    notifications: 0
+                };
+                metrics.recordIncidentOpened(rule);
+                logger.info('Incident opened', { id: incident.id, userId: incident.userId, rule });
+            }
+
+            incident.count += 1;
+            incident.firstSeen = seenAt < incident.firstSeen ? seenAt : incident.firstSeen;
+            incident.lastSeen = seenAt > incident.lastSeen ? seenAt : incident.lastSeen;
+            incident.transactionIds.push(transaction.transactionId);
+            // Very long incidents keep their most recent transaction ids; count keeps the total
+            if (incident.transactionIds.length > this.maxTransactionIds) {
+                incident.transactionIds.shift();
+            }
+
+            if (!incident.lastNotifiedAt
+                || now.getTime() - new Date(incident.lastNotifiedAt).getTime() >= this.suppressionSeconds * 1000) {
+                notify = true;
+            }
+            touched.push(incident);
+        }
+
+        for (const incident of touched) {
+            if (notify) {
+                incident.lastNotifiedAt = notifiedAt;
+                incident.notifications += 1;
+            }
+            await this.store.saveIncident(incident);
+        }
+
+        if (!notify) {
+            rules.forEach(rule => metrics.recordSuppressedAlert(rule));
+        }
+
+        return { incidents: touched, suppressed: !notify };
+    }
+
+    // Incidents, most recently seen first
+    list({ userId, rule } = {}) {
+        return this.store.getIncidents({ userId, rule });
+    }
+
+    async get(id) {
+        const incident = await this.store.getIncident(id);
+        if (!incident) {
+            throw new AppError(`Incident ${id} not found`, 404);
+        }
+        return incident;
+    }
+
+    // The fraud records behind an incident
+    async getTransactions(id) {
+        const incident = await this.get(id);
+        const records = await Promise.all(
+            [...new Set(incident.transactionIds)].map(transactionId => this.store.getAll({ transactionId }))
+        );
+        return records.flat();
+    }
+}
+
+module.exports = IncidentManager;
@@ -6,6 +6,15 @@ const logger = require('./utils/logger');
 const metrics = require('./utils/metrics');
 const KafkaConsumer = require('./kafka/consumer');
 const fraudRoutes = require('./routes/fraudRoutes');
+const transactionRoutes = require('./routes/transactionRoutes');
+const deadLetterRoutes = require('./routes/deadLetterRoutes');
+const userRoutes = require('./routes/userRoutes');
+const listRoutes = require('./routes/listRoutes');
+const fxRoutes = require('./routes/fxRoutes');
+const caseRoutes = require('./routes/caseRoutes');
+const feedbackRoutes = require('./routes/feedbackRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const incidentRoutes = require('./routes/incidentRoutes');
 
 class FraudDetectionApp {
   constructor() {
@@ -26,6 +35,9 @@ class FraudDetectionApp {
       // Setup error handling
       this.setupErrorHandling();
 
+      // Open the fraud store and apply migrations
+      await this.kafkaConsumer.getFraudDetectionService().initialize();
+
       // Start Kafka consumer
       await this.startKafkaConsumer();
 
@@ -97,6 +109,15 @@ class FraudDetectionApp {
 
     // API routes
     this.app.use('/', fraudRoutes);
+    this.app.use('/', transactionRoutes);
+    this.app.use('/', deadLetterRoutes);
+    this.app.use('/', userRoutes);
+    this.app.use('/', listRoutes);
+    this.app.use('/', fxRoutes);
+    this.app.use('/', caseRoutes);
+    this.app.use('/', feedbackRoutes);
+    this.app.use('/', webhookRoutes);
+    this.app.use('/', incidentRoutes);
 
     // Root endpoint
     this.app.get('/', (req, res) => {
@@ -110,6 +131,11 @@ class FraudDetectionApp {
           fraudsByUser: '/frauds/:userId',
           stats: '/stats',
           fraudsByRule: '/frauds/rule/:rule',
+          evaluateTransaction: '/transactions/evaluate',
+          userProfile: '/users/:userId/profile',
+          cases: '/cases',
+          misses: '/misses',
+          incidents: '/incidents',
           metrics: '/metrics'
         }
       });
@@ -199,6 +225,9 @@ class FraudDetectionApp {
         // Stop Kafka consumer
         if (this.kafkaConsumer) {
           await this.kafkaConsumer.stop();
+
+          // Close the fraud store once no more messages are processed
+          await this.kafkaConsumer.getFraudDetectionService().close();
         }
 
         logger.info('Graceful shutdown completed');
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+// Bump when the envelope shape changes so subscribers can handle old and new events side by side
+const ALERT_SCHEMA_VERSION = 1;
+const PUBLISH_MODES = ['suspicious', 'all'];
+
+// Publishes fraud decisions to an outbound topic for downstream services
+class AlertPublisher {
+    constructor(producer, options = {}) {
+        this.producer = producer;
+        this.topic = options.topic || process.env.KAFKA_ALERTS_TOPIC || 'fraud-alerts';
+        this.mode = options.mode || process.env.ALERTS_PUBLISH_MODE || 'suspicious';
+
+        if (!PUBLISH_MODES.includes(this.mode)) {
+            throw new Error(`ALERTS_PUBLISH_MODE must be one of ${PUBLISH_MODES.join(', ')}`);
+        }
+    }
+
+    // Suppressed results are still published, flagged as such: suppression only mutes notifications
+    shouldPublish(result) {
+        return this.mode === 'all' || result.isSuspicious;
+    }
+
+    // Also the body of webhook deliveries, so both channels carry the same event
+    static buildEnvelope(result) {
+        const { violations, ...transaction } = result.transaction;
+
+        return {
+            schemaVersion: ALERT_SCHEMA_VERSION,
+            eventId: crypto.randomUUID(),
+            eventType: result.isSuspicious ? 'fraud.alert' : 'fraud.decision',
+            publishedAt: new Date().toISOString(),
+            isSuspicious: result.isSuspicious,
+            decision: result.decision,
+            riskScore: result.riskScore,
+            ruleSetVersion: result.ruleSetVersion,
+            violations: result.violations,
+            suppressed: Boolean(result.suppressed),
+            // The incidents this transaction rolled into, so subscribers can tell a new burst from a repeat
+            incidents: (result.incidents || []).map(({ id, rule, count, firstSeen, lastSeen }) => ({
+                id,
+                rule,
+                count,
+                firstSeen,
+                lastSeen
+            })),
+            transaction
+        };
+    }
+
+    // Publish a processTransaction result; failures are logged and counted, never thrown
+    async publish(result) {
+        if (!this.shouldPublish(result)) {
+            return null;
+        }
+
+        const envelope = AlertPublisher.buildEnvelope(result);
+
+        try {
+            await this.producer.send({
+                topic: this.topic,
+                messages: [{
+                    key: String(envelope.transaction.userId),
+                    value: JSON.stringify(envelope),
+                    headers: {
+                        'x-schema-version': String(ALERT_SCHEMA_VERSION),
+                        'x-event-type': envelope.eventType
+                    }
+                }]
+            });
+
+            metrics.recordAlertPublished('success', envelope.decision);
+            logger.info('Fraud decision published', {
+                eventId: envelope.eventId,
+                topic: this.topic,
+                transactionId: envelope.transaction.transactionId,
+                decision: envelope.decision
+            });
+
+            return envelope;
+        } catch (error) {
+            metrics.recordAlertPublished('failed', envelope.decision);
+            logger.error('Failed to publish fraud decision', {
+                topic: this.topic,
+                transactionId: envelope.transaction.transactionId,
+                error: error.message
+            });
+
+            return null;
+        }
+    }
+}
+
+AlertPublisher.SCHEMA_VERSION = ALERT_SCHEMA_VERSION;
+
+module.exports = AlertPublisher;
@@ -2,6 +2,19 @@ const { Kafka } = require('kafkajs');
 const logger = require('../utils/logger');
 const metrics = require('../utils/metrics');
 const FraudDetectionService = require('../services/fraudDetectionService');
+const DeadLetterQueue = require('./deadLetterQueue');
+const AlertPublisher = require('./alertPublisher');
+const RejectedMessageSink = require('./rejectedMessageSink');
+const { ValidationError } = require('../utils/errors');
+
+// Parse a message value; malformed JSON is a ValidationError so it is rejected instead of retried
+const parseMessage = (message) => {
+    try {
+        return JSON.parse(message.value.toString());
+    } catch (error) {
+        throw new ValidationError([{ path: '', code: 'invalid_json', message: `Malformed JSON: ${error.message}` }]);
+    }
+};
 
 class KafkaConsumer {
     constructor() {
@@ -22,6 +35,19 @@ class KafkaConsumer {
         });
 
         this.fraudDetectionService = new FraudDetectionService();
+
+        // Producer for the dead-letter, rejected and alerts topics; dead letters are also kept in the fraud store
+        this.producer = this.kafka.producer();
+        this.deadLetterQueue = new DeadLetterQueue(this.producer, { store: this.fraudDetectionService.store });
+        this.rejectedMessages = new RejectedMessageSink(this.producer);
+        this.alertPublisher = new AlertPublisher(this.producer);
+
+        // Publish every decision (or only suspicious ones, per ALERTS_PUBLISH_MODE) to the alerts topic
+        this.fraudDetectionService.on('decision', (result) => {
+            this.alertPublisher.publish(result);
+        });
+        this.transactionsTopic = process.env.KAFKA_TOPIC || 'transactions';
+        this.chargebacksTopic = process.env.KAFKA_CHARGEBACKS_TOPIC || 'chargebacks';
         this.isRunning = false;
         this.retryQueue = [];
         this.maxRetries = 3;
@@ -31,16 +57,17 @@ class KafkaConsumer {
         try {
             await this.consumer.connect();
             logger.info('Kafka consumer connected successfully');
+
+            await this.producer.connect();
+            logger.info('Kafka producer connected successfully');
             
             // Update connection metrics
             metrics.updateActiveConnections(1);
 
-            await this.consumer.subscribe({
-                topic: process.env.KAFKA_TOPIC || 'transactions',
-                fromBeginning: false
-            });
-
-            logger.info(`Subscribed to topic: ${process.env.KAFKA_TOPIC || 'transactions'}`);
+            for (const topic of [this.transactionsTopic, this.chargebacksTopic]) {
+                await this.consumer.subscribe({ topic, fromBeginning: false });
+                logger.info(`Subscribed to topic: ${topic}`);
+            }
         } catch (error) {
             logger.error('Failed to connect to Kafka', { error: error.message });
             // Update connection metrics
@@ -63,7 +90,7 @@ class KafkaConsumer {
                 eachMessage: async ({ topic, partition, message, heartbeat }) => {
                     const startTime = Date.now();
                     try {
-                        await this.processMessage(message);
+                        await this.handleMessage(message, topic);
                         await heartbeat();
                         
                         // Record successful message processing
@@ -83,7 +110,7 @@ class KafkaConsumer {
                         metrics.recordKafkaMessage('failed', topic, duration);
 
                         // Add to retry queue
-                        await this.addToRetryQueue(message, 0);
+                        await this.addToRetryQueue(message, 0, { topic, partition, error });
                     }
                 },
                 eachBatch: async ({ batch, resolveOffset, heartbeat, isRunning, isStale }) => {
@@ -92,7 +119,7 @@ class KafkaConsumer {
 
                         const startTime = Date.now();
                         try {
-                            await this.processMessage(message);
+                            await this.handleMessage(message, batch.topic);
                             resolveOffset(message.offset);
                             await heartbeat();
                             
@@ -112,7 +139,11 @@ class KafkaConsumer {
                             const duration = (Date.now() - startTime) / 1000;
                             metrics.recordKafkaMessage('failed_batch', batch.topic, duration);
 
-                            await this.addToRetryQueue(message, 0);
+                            await this.addToRetryQueue(message, 0, {
+                                topic: batch.topic,
+                                partition: batch.partition,
+                                error
+                            });
                         }
                     }
                 }
@@ -130,10 +161,17 @@ class KafkaConsumer {
         }
     }
 
+    // Route a message to the processor for the topic it was read from
+    async handleMessage(message, topic) {
+        if (topic === this.chargebacksTopic) {
+            return this.processChargebackMessage(message);
+        }
+        return this.processMessage(message);
+    }
+
     async processMessage(message) {
         try {
-            const messageValue = message.value.toString();
-            const transactionData = JSON.parse(messageValue);
+            const transactionData = parseMessage(message);
 
             logger.info('Received transaction message', {
                 transactionId: transactionData.transactionId,
@@ -143,6 +181,11 @@ class KafkaConsumer {
 
             const result = await this.fraudDetectionService.processTransaction(transactionData);
 
+            // Redeliveries were already handled and logged by the service
+            if (result.duplicate) {
+                return;
+            }
+
             if (result.isSuspicious) {
                 logger.warn('Suspicious transaction processed', {
                     transactionId: result.transaction.transactionId,
@@ -161,12 +204,41 @@ class KafkaConsumer {
         }
     }
 
-    async addToRetryQueue(message, retryCount) {
+    async processChargebackMessage(message) {
+        try {
+            const event = parseMessage(message);
+
+            logger.info('Received chargeback message', {
+                transactionId: event.transactionId,
+                type: event.type,
+                offset: message.offset
+            });
+
+            await this.fraudDetectionService.processChargeback(event);
+        } catch (error) {
+            logger.error('Error processing chargeback message', {
+                error: error.message,
+                messageValue: message.value?.toString(),
+                offset: message.offset
+            });
+            throw error;
+        }
+    }
+
+    // context carries the source topic, partition and last error for the dead-letter headers
+    async addToRetryQueue(message, retryCount, context = {}) {
+        // Schema failures can never succeed, so they skip the retries and go to the rejected topic
+        if (context.error && context.error.retryable === false) {
+            await this.rejectedMessages.publish(message, context);
+            return;
+        }
+
         if (retryCount >= this.maxRetries) {
             logger.error('Message processing failed after max retries', {
                 offset: message.offset,
                 retryCount
             });
+            await this.deadLetterQueue.publish(message, { ...context, retryCount });
             return;
         }
 
@@ -174,7 +246,7 @@ class KafkaConsumer {
 
         setTimeout(async () => {
             try {
-                await this.processMessage(message);
+                await this.handleMessage(message, context.topic);
                 logger.info('Message processed successfully on retry', {
                     offset: message.offset,
                     retryCount: retryCount + 1
@@ -187,7 +259,7 @@ class KafkaConsumer {
                 });
 
                 // Add to retry queue again
-                await this.addToRetryQueue(message, retryCount + 1);
+                await this.addToRetryQueue(message, retryCount + 1, { ...context, error });
             }
         }, retryDelay);
         
@@ -214,6 +286,7 @@ class KafkaConsumer {
 
         try {
             await this.consumer.disconnect();
+            await this.producer.disconnect();
             this.isRunning = false;
             
             // Update connection metrics
@@ -226,6 +299,15 @@ class KafkaConsumer {
         }
     }
 
+    // Re-run a dead-lettered message through the normal processing path
+    async redriveDeadLetter(id) {
+        return this.deadLetterQueue.redrive(id, (message, topic) => this.handleMessage(message, topic));
+    }
+
+    getDeadLetterQueue() {
+        return this.deadLetterQueue;
+    }
+
     getFraudDetectionService() {
         return this.fraudDetectionService;
     }
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { AppError } = require('../utils/errors');
+const { createFraudStore } = require('../storage');
+
+// Headers describing where a dead-lettered message came from and why it failed
+const DLQ_HEADERS = {
+    originalTopic: 'x-original-topic',
+    originalPartition: 'x-original-partition',
+    originalOffset: 'x-original-offset',
+    errorMessage: 'x-error-message',
+    retryCount: 'x-retry-count',
+    failedAt: 'x-failed-at'
+};
+
+// Stored messages keep their key, value and header bytes as base64, as JSON cannot hold Buffers
+const toBase64 = value => (value === null || value === undefined ? null : Buffer.from(value).toString('base64'));
+const fromBase64 = value => (value === null ? null : Buffer.from(value, 'base64'));
+
+const encodeMessage = message => ({
+    key: toBase64(message.key),
+    value: toBase64(message.value),
+    headers: Object.fromEntries(Object.entries(message.headers).map(([name, value]) => [name, toBase64(value)])),
+    offset: message.offset
+});
+
+const decodeMessage = message => ({
+    key: fromBase64(message.key),
+    value: fromBase64(message.value),
+    headers: Object.fromEntries(Object.entries(message.headers).map(([name, value]) => [name, fromBase64(value)])),
+    offset: message.offset
+});
+
+// Publishes messages that exhausted their retries to a DLQ topic and records them in the fraud store,
+// so every instance on the store can inspect and re-drive them, also after a restart
+class DeadLetterQueue {
+    constructor(producer, options = {}) {
+        this.producer = producer;
+        this.store = options.store || createFraudStore();
+        this.topic = options.topic || process.env.KAFKA_DLQ_TOPIC || 'transactions-dlq';
+        this.limit = options.limit || parseInt(process.env.DLQ_RETAINED_MESSAGES, 10) || 1000;
+    }
+
+    async publish(message, context = {}) {
+        const entry = {
+            id: crypto.randomUUID(),
+            originalTopic: context.topic,
+            originalPartition: context.partition,
+            originalOffset: message.offset,
+            errorMessage: context.error ? context.error.message : 'Unknown error',
+            retryCount: context.retryCount || 0,
+            failedAt: new Date().toISOString(),
+            status: 'DEAD_LETTERED',
+            published: false,
+            message: {
+                key: message.key,
+                value: message.value,
+                headers: message.headers || {},
+                offset: message.offset
+            }
+        };
+
+        try {
+            await this.producer.send({
+                topic: this.topic,
+                messages: [{
+                    key: message.key,
+                    value: message.value,
+                    headers: {
+                        ...(message.headers || {}),
+                        [DLQ_HEADERS.originalTopic]: String(entry.originalTopic),
+                        [DLQ_HEADERS.originalPartition]: String(entry.originalPartition),
+                        [DLQ_HEADERS.originalOffset]: String(entry.originalOffset),
+                        [DLQ_HEADERS.errorMessage]: entry.errorMessage,
+                        [DLQ_HEADERS.retryCount]: String(entry.retryCount),
+                        [DLQ_HEADERS.failedAt]: entry.failedAt
+                    }
+                }]
+            });
+            entry.published = true;
+
+            logger.warn('Message sent to dead-letter topic', {
+                id: entry.id,
+                dlqTopic: this.topic,
+                originalTopic: entry.originalTopic,
+                partition: entry.originalPartition,
+                offset: entry.originalOffset,
+                error: entry.errorMessage,
+                retryCount: entry.retryCount
+            });
+        } catch (error) {
+            logger.error('Failed to publish message to dead-letter topic', {
+                id: entry.id,
+                dlqTopic: this.topic,
+                offset: entry.originalOffset,
+                error: error.message
+            });
+        }
+
+        metrics.recordDeadLetter(String(entry.originalTopic), entry.published ? 'published' : 'publish_failed');
+
+        // The message is already on the DLQ topic, so a store failure only loses the admin view of it
+        try {
+            await this.store.saveDeadLetter(this.toStored(entry), this.limit);
+        } catch (error) {
+            logger.error('Failed to record dead-lettered message', { id: entry.id, error: error.message });
+        }
+
+        return this.describe(entry);
+    }
+
+    toStored(entry) {
+        return { ...entry, message: encodeMessage(entry.message) };
+    }
+
+    // The most recent DLQ_RETAINED_MESSAGES dead-lettered messages, newest first
+    async list() {
+        const entries = await this.store.getDeadLetters();
+        return entries.map(entry => this.describe({ ...entry, message: decodeMessage(entry.message) }));
+    }
+
+    async get(id) {
+        const entry = await this.store.getDeadLetter(id);
+        if (!entry) {
+            throw new AppError(`Dead-letter message ${id} not found`, 404);
+        }
+        return { ...entry, message: decodeMessage(entry.message) };
+    }
+
+    // Re-run a dead-lettered message through the given processor, which also gets the message's original topic.
+    // The entry is marked REDRIVING in the store first, so concurrent re-drives on any instance process it once
+    async redrive(id, processMessage) {
+        const entry = await this.get(id);
+
+        if (entry.status === 'REDRIVEN') {
+            throw new AppError(`Dead-letter message ${id} was already re-driven`, 409);
+        }
+        if (entry.status === 'REDRIVING'
+            || !(await this.store.updateDeadLetter(this.toStored({ ...entry, status: 'REDRIVING' }), 'DEAD_LETTERED'))) {
+            throw new AppError(`Dead-letter message ${id} is already being re-driven`, 409);
+        }
+
+        try {
+            await processMessage(entry.message, entry.originalTopic);
+        } catch (error) {
+            entry.lastRedriveError = error.message;
+            entry.lastRedriveAt = new Date().toISOString();
+            await this.store.updateDeadLetter(this.toStored(entry), 'REDRIVING');
+            metrics.recordDeadLetterRedrive('failed');
+
+            logger.error('Dead-letter re-drive failed', { id, error: error.message });
+            throw new AppError(`Re-drive failed: ${error.message}`, 422);
+        }
+
+        entry.status = 'REDRIVEN';
+        entry.redrivenAt = new Date().toISOString();
+        await this.store.updateDeadLetter(this.toStored(entry), 'REDRIVING');
+        metrics.recordDeadLetterRedrive('success');
+
+        logger.info('Dead-letter message re-driven', { id, offset: entry.originalOffset });
+
+        return this.describe(entry);
+    }
+
+    describe(entry, { includeMessage = false } = {}) {
+        const { message, ...summary } = entry;
+
+        if (!includeMessage) {
+            return summary;
+        }
+
+        return {
+            ...summary,
+            message: {
+                key: message.key ? message.key.toString() : null,
+                value: message.value ? message.value.toString() : null,
+                headers: Object.fromEntries(
+                    Object.entries(message.headers).map(([name, value]) => [name, value ? value.toString() : value])
+                ),
+                offset: message.offset
+            }
+        };
+    }
+}
+
+DeadLetterQueue.HEADERS = DLQ_HEADERS;
+
+module.exports = DeadLetterQueue;
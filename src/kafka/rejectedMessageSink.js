@@ -0,0 +1,71 @@
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+// Headers describing where a rejected message came from and which fields failed validation
+const REJECTED_HEADERS = {
+    originalTopic: 'x-original-topic',
+    originalPartition: 'x-original-partition',
+    originalOffset: 'x-original-offset',
+    reason: 'x-rejection-reason',
+    validationErrors: 'x-validation-errors',
+    rejectedAt: 'x-rejected-at'
+};
+
+// Publishes messages that can never succeed (schema failures) to a rejected-messages topic
+// without retrying them; producers fix and resend from there
+class RejectedMessageSink {
+    constructor(producer, options = {}) {
+        this.producer = producer;
+        this.topic = options.topic || process.env.KAFKA_REJECTED_TOPIC || 'transactions-rejected';
+    }
+
+    // Publish a rejected message; failures are logged and counted, never thrown
+    async publish(message, context = {}) {
+        const { topic, partition, error } = context;
+        const errors = (error && error.errors) || [];
+        const rejectedAt = new Date().toISOString();
+        let published = false;
+
+        try {
+            await this.producer.send({
+                topic: this.topic,
+                messages: [{
+                    key: message.key,
+                    value: message.value,
+                    headers: {
+                        ...(message.headers || {}),
+                        [REJECTED_HEADERS.originalTopic]: String(topic),
+                        [REJECTED_HEADERS.originalPartition]: String(partition),
+                        [REJECTED_HEADERS.originalOffset]: String(message.offset),
+                        [REJECTED_HEADERS.reason]: error ? error.message : 'Unknown error',
+                        [REJECTED_HEADERS.validationErrors]: JSON.stringify(errors),
+                        [REJECTED_HEADERS.rejectedAt]: rejectedAt
+                    }
+                }]
+            });
+            published = true;
+
+            logger.warn('Message sent to rejected topic', {
+                rejectedTopic: this.topic,
+                originalTopic: topic,
+                partition,
+                offset: message.offset,
+                errors: errors.map(({ path, code }) => `${path || '/'}:${code}`)
+            });
+        } catch (publishError) {
+            logger.error('Failed to publish message to rejected topic', {
+                rejectedTopic: this.topic,
+                offset: message.offset,
+                error: publishError.message
+            });
+        }
+
+        metrics.recordRejectedMessage(String(topic), published ? 'published' : 'publish_failed');
+
+        return { published, rejectedAt, errors };
+    }
+}
+
+RejectedMessageSink.HEADERS = REJECTED_HEADERS;
+
+module.exports = RejectedMessageSink;
@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { AppError } = require('../utils/errors');
+
+const LISTS = ['allow', 'block', 'watch'];
+
+// Transaction field each entity type is matched against
+const ENTITY_FIELDS = {
+    user: 'userId',
+    location: 'location',
+    merchant: 'merchantId'
+};
+
+// Violations raised by block and watch entries; the weight feeds the risk score like a rule weight
+const LIST_VIOLATIONS = {
+    block: { rule: 'BLOCKLIST', severity: 'CRITICAL', weight: 100, label: 'blocklisted' },
+    watch: { rule: 'WATCHLIST', severity: 'HIGH', weight: 50, label: 'watchlisted' }
+};
+
+const CSV_COLUMNS = ['list', 'entityType', 'value', 'reason', 'expiresAt', 'rules'];
+
+// Locations match case-insensitively, ids exactly
+const matchKey = (entityType, value) => (
+    entityType === 'location' ? String(value).trim().toLowerCase() : String(value)
+);
+
+// Key of the index bucket holding every entry for an entity
+const indexKey = (entityType, value) => `${entityType}:${matchKey(entityType, value)}`;
+
+// Split CSV text into rows of fields, honouring double-quoted fields
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+// Allow, block and watch list entries for users, locations and merchants, persisted in the fraud store
+class ListManager {
+    constructor(store) {
+        this.store = store;
+        this.entries = new Map();
+        // Entries by indexKey, then by id, so matching and duplicate checks look up one entity
+        this.byEntity = new Map();
+    }
+
+    async load() {
+        const entries = await this.store.getListEntries();
+        this.entries = new Map(entries.map(entry => [entry.id, entry]));
+        this.byEntity = new Map();
+        entries.forEach(entry => this.index(entry));
+
+        logger.info('List entries loaded', { count: this.entries.size });
+    }
+
+    index(entry) {
+        const key = indexKey(entry.entityType, entry.value);
+        const bucket = this.byEntity.get(key) || new Map();
+        bucket.set(entry.id, entry);
+        this.byEntity.set(key, bucket);
+    }
+
+    unindex(entry) {
+        const key = indexKey(entry.entityType, entry.value);
+        const bucket = this.byEntity.get(key);
+        bucket.delete(entry.id);
+        if (bucket.size === 0) {
+            this.byEntity.delete(key);
+        }
+    }
+
+    // Entries, active or not, for an entity
+    lookup(entityType, value) {
+        const bucket = this.byEntity.get(indexKey(entityType, value));
+        return bucket ? [...bucket.values()] : [];
+    }
+
+    validate(input, existing = {}) {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            throw new AppError('List entry must be a JSON object', 400);
+        }
+
+        const entry = { ...existing, ...input };
+
+        if (!LISTS.includes(entry.list)) {
+            throw new AppError(`list must be one of ${LISTS.join(', ')}`, 400);
+        }
+        if (!ENTITY_FIELDS[entry.entityType]) {
+            throw new AppError(`entityType must be one of ${Object.keys(ENTITY_FIELDS).join(', ')}`, 400);
+        }
+        if (typeof entry.value !== 'string' || entry.value.trim() === '') {
+            throw new AppError('value must be a non-empty string', 400);
+        }
+
+        let expiresAt = null;
+        if (entry.expiresAt !== undefined && entry.expiresAt !== null && entry.expiresAt !== '') {
+            const date = new Date(entry.expiresAt);
+            if (isNaN(date.getTime())) {
+                throw new AppError('expiresAt must be an ISO 8601 date', 400);
+            }
+            expiresAt = date.toISOString();
+        }
+
+        // Allowlist entries may name the rules they skip; without rules they skip every rule
+        const rules = entry.rules || [];
+        if (!Array.isArray(rules) || rules.some(rule => typeof rule !== 'string' || rule === '')) {
+            throw new AppError('rules must be an array of rule names', 400);
+        }
+        if (rules.length > 0 && entry.list !== 'allow') {
+            throw new AppError('rules can only be set on allow list entries', 400);
+        }
+
+        return {
+            id: existing.id || crypto.randomUUID(),
+            list: entry.list,
+            entityType: entry.entityType,
+            value: entry.value.trim(),
+            reason: entry.reason || null,
+            rules,
+            expiresAt,
+            createdAt: existing.createdAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    isActive(entry, now = Date.now()) {
+        return !entry.expiresAt || new Date(entry.expiresAt).getTime() > now;
+    }
+
+    findDuplicate(entry) {
+        return this.lookup(entry.entityType, entry.value).find(candidate => (
+            candidate.id !== entry.id
+            && candidate.list === entry.list
+            && this.isActive(candidate)
+        ));
+    }
+
+    list({ list, entityType, includeExpired = false } = {}) {
+        return [...this.entries.values()].filter(entry => (
+            (!list || entry.list === list)
+            && (!entityType || entry.entityType === entityType)
+            && (includeExpired || this.isActive(entry))
+        ));
+    }
+
+    get(id) {
+        const entry = this.entries.get(id);
+        if (!entry) {
+            throw new AppError(`List entry ${id} not found`, 404);
+        }
+        return entry;
+    }
+
+    async create(input) {
+        const entry = this.validate(input);
+
+        const duplicate = this.findDuplicate(entry);
+        if (duplicate) {
+            throw new AppError(`${entry.entityType} ${entry.value} is already on the ${entry.list} list (${duplicate.id})`, 409);
+        }
+
+        await this.store.saveListEntry(entry);
+        this.entries.set(entry.id, entry);
+        this.index(entry);
+
+        logger.info('List entry created', { id: entry.id, list: entry.list, entityType: entry.entityType, value: entry.value });
+        return entry;
+    }
+
+    async update(id, input) {
+        const { id: ignoredId, createdAt, ...changes } = input || {};
+        const existing = this.get(id);
+        const entry = this.validate(changes, existing);
+
+        const duplicate = this.findDuplicate(entry);
+        if (duplicate) {
+            throw new AppError(`${entry.entityType} ${entry.value} is already on the ${entry.list} list (${duplicate.id})`, 409);
+        }
+
+        await this.store.saveListEntry(entry);
+        this.unindex(existing);
+        this.entries.set(id, entry);
+        this.index(entry);
+
+        logger.info('List entry updated', { id, list: entry.list, entityType: entry.entityType, value: entry.value });
+        return entry;
+    }
+
+    async remove(id) {
+        const entry = this.get(id);
+
+        await this.store.deleteListEntry(id);
+        this.entries.delete(id);
+        this.unindex(entry);
+
+        logger.info('List entry deleted', { id, list: entry.list, entityType: entry.entityType, value: entry.value });
+        return entry;
+    }
+
+    // Import entries from CSV with a header row of list,entityType,value,reason,expiresAt,rules
+    // (rules separated by ";"); valid rows are kept even when others fail
+    async importCsv(text) {
+        const [header, ...rows] = parseCsv(typeof text === 'string' ? text : '');
+        if (!header) {
+            throw new AppError('CSV body is empty', 400);
+        }
+
+        const columns = header.map(column => column.trim());
+        const missing = ['list', 'entityType', 'value'].filter(column => !columns.includes(column));
+        if (missing.length > 0) {
+            throw new AppError(`CSV header is missing columns: ${missing.join(', ')}`, 400);
+        }
+
+        const imported = [];
+        const errors = [];
+
+        for (const [index, fields] of rows.entries()) {
+            const input = {};
+            columns.forEach((column, position) => {
+                if (CSV_COLUMNS.includes(column) && fields[position] !== undefined && fields[position].trim() !== '') {
+                    input[column] = fields[position].trim();
+                }
+            });
+            if (input.rules) {
+                input.rules = input.rules.split(';').map(rule => rule.trim()).filter(Boolean);
+            }
+
+            try {
+                imported.push(await this.create(input));
+            } catch (error) {
+                // Line numbers count the header as line 1
+                errors.push({ line: index + 2, error: error.message });
+            }
+        }
+
+        logger.info('List entries imported', { imported: imported.length, failed: errors.length });
+        return { imported, errors };
+    }
+
+    // Active entries that apply to a transaction
+    match(context) {
+        const now = Date.now();
+
+        return Object.entries(ENTITY_FIELDS)
+            .filter(([, field]) => context[field] !== undefined && context[field] !== null)
+            .flatMap(([entityType, field]) => this.lookup(entityType, context[field]))
+            .filter(entry => this.isActive(entry, now));
+    }
+
+    // Drop rule hits skipped by matching allow entries, then add a violation for every block and watch match.
+    // Matches are counted in list_matches_total unless dryRun is set
+    apply(matches, ruleHits, { dryRun = false } = {}) {
+        const allowEntries = matches.filter(entry => entry.list === 'allow');
+        const isAllowed = (violation) => allowEntries.some(entry => (
+            entry.rules.length === 0 || entry.rules.includes(violation.rule)
+        ));
+
+        const listViolations = matches
+            .filter(entry => LIST_VIOLATIONS[entry.list])
+            .map(entry => {
+                const { rule, severity, weight, label } = LIST_VIOLATIONS[entry.list];
+                return {
+                    rule,
+                    description: `${entry.entityType} ${entry.value} is ${label}${entry.reason ? `: ${entry.reason}` : ''}`,
+                    severity,
+                    weight,
+                    listEntryId: entry.id,
+                    entityType: entry.entityType,
+                    value: entry.value
+                };
+            });
+
+        if (!dryRun) {
+            matches.forEach(entry => metrics.recordListMatch(entry.list, entry.entityType));
+        }
+
+        return [...ruleHits.filter(violation => !isAllowed(violation)), ...listViolations];
+    }
+}
+
+ListManager.LISTS = LISTS;
+ListManager.ENTITY_TYPES = Object.keys(ENTITY_FIELDS);
+ListManager.parseCsv = parseCsv;
+
+module.exports = ListManager;
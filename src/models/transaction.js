@@ -1,4 +1,35 @@
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const { ValidationError } = require('../utils/errors');
+const {
+    validateTransactionSchema,
+    summarizeErrors,
+    SCHEMA_VERSIONS,
+    CURRENT_SCHEMA_VERSION,
+    CHANNELS
+} = require('./transactionSchema');
+const { createRuleEngine } = require('../rules/ruleLoader');
+
+let defaultRuleEngine = null;
+
+const getDefaultRuleEngine = () => {
+    if (!defaultRuleEngine) {
+        defaultRuleEngine = createRuleEngine();
+    }
+    return defaultRuleEngine;
+};
+
+// Optional fields carried through to toJSON when present; their formats are checked by the schema
+const OPTIONAL_FIELDS = [
+    'currency',
+    'merchantId',
+    'merchantCategoryCode',
+    'channel',
+    'cardBin',
+    'cardLast4',
+    'deviceId',
+    'ipAddress'
+];
 
 class Transaction {
     constructor(data) {
@@ -7,68 +38,102 @@ class Transaction {
         this.amount = data.amount;
         this.location = data.location;
         this.timestamp = new Date(data.timestamp);
+        this.schemaVersion = data.schemaVersion !== undefined ? data.schemaVersion : 1;
+        OPTIONAL_FIELDS.forEach(field => {
+            this[field] = data[field];
+        });
+        this.latitude = data.latitude;
+        this.longitude = data.longitude;
         this.detectedAt = new Date();
     }
 
-    static validate(data) {
-        const required = ['transactionId', 'userId', 'amount', 'location', 'timestamp'];
-        const missing = required.filter(field => !data[field]);
-
-        if (missing.length > 0) {
-            throw new Error(`Missing required fields: ${missing.join(', ')}`);
-        }
-
-        if (typeof data.amount !== 'number' || data.amount <= 0) {
-            throw new Error('Amount must be a positive number');
-        }
-
-        if (typeof data.location !== 'string' || data.location.trim() === '') {
-            throw new Error('Location must be a non-empty string');
-        }
+    // Check a payload against the transaction JSON Schema; throws a ValidationError listing every invalid field.
+    // Invalid fields are counted in transaction_validation_errors_total unless dryRun is set
+    static validate(data, { dryRun = false } = {}) {
+        const errors = validateTransactionSchema(data);
 
-        const timestamp = new Date(data.timestamp);
-        if (isNaN(timestamp.getTime())) {
-            throw new Error('Invalid timestamp format');
+        if (errors.length > 0) {
+            if (!dryRun) {
+                errors.forEach(error => metrics.recordValidationError(error.path.slice(1) || '(root)', error.code));
+            }
+            throw new ValidationError(errors, summarizeErrors(errors));
         }
 
         return true;
     }
 
-    // Fraud detection rules
-    checkFraudRules() {
-        const violations = [];
+    // Fraud detection rules, as defined by the active rule set
+    checkFraudRules(ruleEngine = getDefaultRuleEngine()) {
+        return ruleEngine.evaluate(this.toRuleContext());
+    }
 
-        // Rule 1: Amount > $5000 and location is not "USA"
-        if (this.amount > 5000 && this.location !== 'USA') {
-            violations.push({
-                rule: 'HIGH_AMOUNT_NON_USA',
-                description: 'Amount > $5000 and location is not USA',
-                severity: 'HIGH'
-            });
-        }
+    // Convert the amount to the FX table's base currency; the original amount and currency are kept.
+    // A currency without a rate is evaluated on the raw amount and flagged with fxUnavailable
+    normalizeAmount(fxRates) {
+        const { amount, rate, baseCurrency, fxUnavailable } = fxRates.normalize(this.amount, this.currency);
+        this.normalizedAmount = amount;
+        this.baseCurrency = baseCurrency;
+        this.fxRate = rate;
 
-        // Rule 2: Amount is a round number divisible by 1000
-        if (this.amount % 1000 === 0) {
-            violations.push({
-                rule: 'ROUND_AMOUNT',
-                description: 'Amount is a round number divisible by 1000',
-                severity: 'MEDIUM'
+        if (fxUnavailable) {
+            this.fxUnavailable = true;
+            logger.warn('No FX rate for currency, evaluating the raw amount', {
+                transactionId: this.transactionId,
+                currency: this.currency,
+                amount: this.amount
             });
         }
+        return this;
+    }
 
-        return violations;
+    // Fields seen by rules: amount is the normalized amount once normalizeAmount has run
+    toRuleContext() {
+        const json = this.toJSON();
+        return {
+            ...json,
+            amount: this.normalizedAmount !== undefined ? this.normalizedAmount : this.amount,
+            originalAmount: this.amount
+        };
     }
 
     toJSON() {
-        return {
+        const json = {
             transactionId: this.transactionId,
             userId: this.userId,
             amount: this.amount,
             location: this.location,
             timestamp: this.timestamp.toISOString(),
-            detectedAt: this.detectedAt.toISOString()
+            detectedAt: this.detectedAt.toISOString(),
+            schemaVersion: this.schemaVersion
         };
+
+        OPTIONAL_FIELDS.forEach(field => {
+            if (this[field] !== undefined) {
+                json[field] = this[field];
+            }
+        });
+
+        if (this.normalizedAmount !== undefined) {
+            json.normalizedAmount = this.normalizedAmount;
+            json.baseCurrency = this.baseCurrency;
+            json.fxRate = this.fxRate;
+            if (this.fxUnavailable) {
+                json.fxUnavailable = true;
+            }
+        }
+
+        if (this.latitude !== undefined) {
+            json.latitude = this.latitude;
+            json.longitude = this.longitude;
+        }
+
+        return json;
     }
 }
 
+Transaction.SCHEMA_VERSIONS = SCHEMA_VERSIONS;
+Transaction.CURRENT_SCHEMA_VERSION = CURRENT_SCHEMA_VERSION;
+Transaction.CHANNELS = CHANNELS;
+Transaction.OPTIONAL_FIELDS = OPTIONAL_FIELDS;
+
 module.exports = Transaction;
@@ -0,0 +1,144 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+// Schema versions producers may send: 1 is the original five fields, 2 adds the optional fields
+const SCHEMA_VERSIONS = [1, 2];
+const CURRENT_SCHEMA_VERSION = 2;
+
+const CHANNELS = ['POS', 'ECOM', 'ATM'];
+
+const nonEmptyString = { type: 'string', minLength: 1, pattern: '\\S' };
+// Ids may be numbers, as Transaction.validate accepted before the schema existed
+const identifier = { ...nonEmptyString, type: ['string', 'number'] };
+
+// JSON Schema for transaction payloads; unknown fields are allowed so newer producers can add fields first
+const transactionSchema = {
+    $id: 'transaction',
+    type: 'object',
+    required: ['transactionId', 'userId', 'amount', 'location', 'timestamp'],
+    properties: {
+        schemaVersion: { enum: SCHEMA_VERSIONS },
+        transactionId: identifier,
+        userId: identifier,
+        amount: { type: 'number', exclusiveMinimum: 0 },
+        location: nonEmptyString,
+        // ISO strings or epoch milliseconds; the bounds are the range Date can represent
+        timestamp: { type: ['string', 'number'], format: 'timestamp', minimum: -8.64e15, maximum: 8.64e15 },
+        currency: { type: 'string', pattern: '^[A-Z]{3}$' },
+        merchantId: nonEmptyString,
+        merchantCategoryCode: { type: 'string', pattern: '^\\d{4}$' },
+        channel: { enum: CHANNELS },
+        cardBin: { type: 'string', pattern: '^\\d{6,8}$' },
+        cardLast4: { type: 'string', pattern: '^\\d{4}$' },
+        deviceId: nonEmptyString,
+        ipAddress: { type: 'string', anyOf: [{ format: 'ipv4' }, { format: 'ipv6' }] },
+        latitude: { type: 'number', minimum: -90, maximum: 90 },
+        longitude: { type: 'number', minimum: -180, maximum: 180 }
+    },
+    dependencies: {
+        latitude: ['longitude'],
+        longitude: ['latitude']
+    }
+};
+
+// Human-readable message per field, kept compatible with the messages Transaction.validate used to throw
+const FIELD_MESSAGES = {
+    '': () => 'Transaction must be a JSON object',
+    '/schemaVersion': value => `Unsupported schemaVersion: ${value} (supported: ${SCHEMA_VERSIONS.join(', ')})`,
+    '/transactionId': () => 'Transaction ID must be a non-empty string or a number',
+    '/userId': () => 'User ID must be a non-empty string or a number',
+    '/amount': () => 'Amount must be a positive number',
+    '/location': () => 'Location must be a non-empty string',
+    '/timestamp': () => 'Invalid timestamp format',
+    '/currency': () => 'Currency must be a three-letter ISO 4217 code',
+    '/merchantId': () => 'Merchant ID must be a non-empty string',
+    '/merchantCategoryCode': () => 'Merchant category code must be a four-digit string',
+    '/channel': () => `Channel must be one of ${CHANNELS.join(', ')}`,
+    '/cardBin': () => 'Card BIN must be a string of 6 to 8 digits',
+    '/cardLast4': () => 'Card last4 must be a four-digit string',
+    '/deviceId': () => 'Device ID must be a non-empty string',
+    '/ipAddress': () => 'IP address must be a valid IPv4 or IPv6 address',
+    '/latitude': () => 'Latitude must be a number between -90 and 90',
+    '/longitude': () => 'Longitude must be a number between -180 and 180'
+};
+
+// Stable error codes for ajv keywords
+const ERROR_CODES = {
+    required: 'required',
+    dependencies: 'incomplete_pair',
+    type: 'invalid_type',
+    minLength: 'empty',
+    pattern: 'invalid_format',
+    format: 'invalid_format',
+    anyOf: 'invalid_format',
+    enum: 'invalid_value',
+    exclusiveMinimum: 'out_of_range',
+    minimum: 'out_of_range',
+    maximum: 'out_of_range'
+};
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv, ['ipv4', 'ipv6']);
+// Any string Date can parse; formats only apply to strings, so numeric timestamps are range-checked above
+ajv.addFormat('timestamp', value => !isNaN(new Date(value).getTime()));
+
+const validate = ajv.compile(transactionSchema);
+
+// Validate a payload and return one { path, code, message } per invalid field (empty when valid)
+const validateTransactionSchema = (data) => {
+    // Arrays and null are rejected up front; the schema only sees objects
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return [{ path: '', code: 'invalid_type', message: FIELD_MESSAGES['']() }];
+    }
+
+    if (validate(data)) {
+        return [];
+    }
+
+    const errorsByPath = new Map();
+    validate.errors.forEach(error => {
+        const path = error.keyword === 'required' || error.keyword === 'dependencies'
+            ? `/${error.params.missingProperty}`
+            : error.instancePath;
+
+        // ipAddress reports its type/format failures several times; one error per field is enough
+        if (errorsByPath.has(path)) {
+            return;
+        }
+
+        const code = ERROR_CODES[error.keyword] || error.keyword;
+        let message;
+        if (code === 'required') {
+            message = `Missing required field: ${path.slice(1)}`;
+        } else if (code === 'incomplete_pair') {
+            message = 'Latitude and longitude must be provided together';
+        } else {
+            const fieldMessage = FIELD_MESSAGES[path];
+            message = fieldMessage ? fieldMessage(data[path.slice(1)]) : `${path} ${error.message}`;
+        }
+
+        errorsByPath.set(path, { path, code, message });
+    });
+
+    return [...errorsByPath.values()];
+};
+
+// One-line summary of schema errors: missing fields first, then every other problem
+const summarizeErrors = (errors) => {
+    const missing = errors.filter(error => error.code === 'required').map(error => error.path.slice(1));
+    const others = errors.filter(error => error.code !== 'required').map(error => error.message);
+
+    return [
+        ...(missing.length > 0 ? [`Missing required fields: ${missing.join(', ')}`] : []),
+        ...others
+    ].join('; ');
+};
+
+module.exports = {
+    transactionSchema,
+    validateTransactionSchema,
+    summarizeErrors,
+    SCHEMA_VERSIONS,
+    CURRENT_SCHEMA_VERSION,
+    CHANNELS
+};
@@ -0,0 +1,102 @@
+// Streaming behavioral baseline for one user: amount mean/variance (Welford), locations seen and hour-of-day histogram
+class UserProfile {
+    constructor(userId) {
+        this.userId = userId;
+        this.transactionCount = 0;
+        this.meanAmount = 0;
+        this.m2 = 0;
+        this.minAmount = null;
+        this.maxAmount = null;
+        // Keyed case-insensitively; keeps the first spelling seen for display
+        this.locations = new Map();
+        this.hours = new Array(24).fill(0);
+        this.firstSeen = null;
+        this.lastSeen = null;
+    }
+
+    // Fold a transaction into the baseline
+    update(transaction) {
+        const { amount, location } = transaction;
+        const timestamp = new Date(transaction.timestamp);
+
+        this.transactionCount += 1;
+        const delta = amount - this.meanAmount;
+        this.meanAmount += delta / this.transactionCount;
+        this.m2 += delta * (amount - this.meanAmount);
+
+        this.minAmount = this.minAmount === null ? amount : Math.min(this.minAmount, amount);
+        this.maxAmount = this.maxAmount === null ? amount : Math.max(this.maxAmount, amount);
+
+        const locationKey = UserProfile.normalizeLocation(location);
+        const seen = this.locations.get(locationKey) || { location: String(location).trim(), count: 0 };
+        seen.count += 1;
+        this.locations.set(locationKey, seen);
+        this.hours[timestamp.getUTCHours()] += 1;
+
+        if (!this.firstSeen || timestamp < this.firstSeen) {
+            this.firstSeen = timestamp;
+        }
+        if (!this.lastSeen || timestamp > this.lastSeen) {
+            this.lastSeen = timestamp;
+        }
+    }
+
+    get amountStdDev() {
+        return this.transactionCount > 1 ? Math.sqrt(this.m2 / (this.transactionCount - 1)) : 0;
+    }
+
+    // Standard deviations between an amount and the user's mean; null until the spread is known
+    amountZScore(amount) {
+        const stdDev = this.amountStdDev;
+        return stdDev > 0 ? (amount - this.meanAmount) / stdDev : null;
+    }
+
+    hasSeenLocation(location) {
+        return this.locations.has(UserProfile.normalizeLocation(location));
+    }
+
+    // Share of past transactions made within an hour either side of the given UTC hour
+    hourShare(hour) {
+        if (this.transactionCount === 0) {
+            return 0;
+        }
+
+        const nearby = [hour - 1, hour, hour + 1]
+            .map(h => this.hours[(h + 24) % 24])
+            .reduce((sum, count) => sum + count, 0);
+        return nearby / this.transactionCount;
+    }
+
+    toJSON() {
+        const typicalHours = this.hours
+            .map((count, hour) => ({ hour, count }))
+            .filter(entry => entry.count > 0)
+            .sort((a, b) => b.count - a.count || a.hour - b.hour)
+            .slice(0, 3)
+            .map(entry => entry.hour);
+
+        return {
+            userId: this.userId,
+            transactionCount: this.transactionCount,
+            amount: {
+                mean: this.meanAmount,
+                stdDev: this.amountStdDev,
+                min: this.minAmount,
+                max: this.maxAmount
+            },
+            locations: [...this.locations.values()]
+                .sort((a, b) => b.count - a.count)
+                .map(({ location, count }) => ({ location, count })),
+            typicalHours,
+            hourHistogram: [...this.hours],
+            firstSeen: this.firstSeen ? this.firstSeen.toISOString() : null,
+            lastSeen: this.lastSeen ? this.lastSeen.toISOString() : null
+        };
+    }
+
+    static normalizeLocation(location) {
+        return String(location).trim().toUpperCase();
+    }
+}
+
+module.exports = UserProfile;
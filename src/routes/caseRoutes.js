@@ -0,0 +1,81 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { injectFraudService, sendError } = require('./middleware');
+
+const router = express.Router();
+
+// List cases, optionally filtered by ?status= and ?assignee=
+router.get('/cases', injectFraudService, async (req, res) => {
+    try {
+        const cases = await req.fraudService.getCaseManager().list({
+            status: req.query.status !== undefined ? String(req.query.status).toUpperCase() : undefined,
+            assignee: req.query.assignee
+        });
+
+        logger.info('Retrieved cases', { count: cases.length, status: req.query.status });
+
+        res.status(200).json({
+            success: true,
+            count: cases.length,
+            data: cases
+        });
+    } catch (error) {
+        sendError(res, error, 'Error listing cases');
+    }
+});
+
+// Get a case with its notes and status history
+router.get('/cases/:id', injectFraudService, async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: await req.fraudService.getCaseManager().get(req.params.id)
+        });
+    } catch (error) {
+        sendError(res, error, 'Error retrieving case', { id: req.params.id });
+    }
+});
+
+// Move a case to another status: { status, actor, reason }
+router.post('/cases/:id/transitions', injectFraudService, async (req, res) => {
+    try {
+        const fraudCase = await req.fraudService.getCaseManager().transition(req.params.id, req.body);
+
+        res.status(200).json({
+            success: true,
+            data: fraudCase
+        });
+    } catch (error) {
+        sendError(res, error, 'Error transitioning case', { id: req.params.id, status: req.body?.status });
+    }
+});
+
+// Assign or unassign a case: { assignee, actor }
+router.put('/cases/:id/assignee', injectFraudService, async (req, res) => {
+    try {
+        const fraudCase = await req.fraudService.getCaseManager().assign(req.params.id, req.body);
+
+        res.status(200).json({
+            success: true,
+            data: fraudCase
+        });
+    } catch (error) {
+        sendError(res, error, 'Error assigning case', { id: req.params.id });
+    }
+});
+
+// Add an analyst note: { author, text }
+router.post('/cases/:id/notes', injectFraudService, async (req, res) => {
+    try {
+        const note = await req.fraudService.getCaseManager().addNote(req.params.id, req.body);
+
+        res.status(201).json({
+            success: true,
+            data: note
+        });
+    } catch (error) {
+        sendError(res, error, 'Error adding case note', { id: req.params.id });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { injectKafkaConsumer, sendError } = require('./middleware');
+
+const router = express.Router();
+
+// List dead-lettered messages (admin endpoint)
+router.get('/admin/dlq', injectKafkaConsumer, async (req, res) => {
+    try {
+        const deadLetterQueue = req.kafkaConsumer.getDeadLetterQueue();
+        const entries = await deadLetterQueue.list();
+
+        res.status(200).json({
+            success: true,
+            topic: deadLetterQueue.topic,
+            count: entries.length,
+            data: entries
+        });
+    } catch (error) {
+        sendError(res, error, 'Error listing dead-letter messages');
+    }
+});
+
+// Inspect a dead-lettered message, including its payload (admin endpoint)
+router.get('/admin/dlq/:id', injectKafkaConsumer, async (req, res) => {
+    try {
+        const deadLetterQueue = req.kafkaConsumer.getDeadLetterQueue();
+        const entry = await deadLetterQueue.get(req.params.id);
+
+        res.status(200).json({
+            success: true,
+            data: deadLetterQueue.describe(entry, { includeMessage: true })
+        });
+    } catch (error) {
+        sendError(res, error, 'Error retrieving dead-letter message', { id: req.params.id });
+    }
+});
+
+// Re-drive a dead-lettered message through the consumer (admin endpoint)
+router.post('/admin/dlq/:id/redrive', injectKafkaConsumer, async (req, res) => {
+    try {
+        const entry = await req.kafkaConsumer.redriveDeadLetter(req.params.id);
+
+        logger.info('Dead-letter message re-driven by admin request', { id: req.params.id });
+
+        res.status(200).json({
+            success: true,
+            data: entry
+        });
+    } catch (error) {
+        sendError(res, error, 'Error re-driving dead-letter message', { id: req.params.id });
+    }
+});
+
+module.exports = router;
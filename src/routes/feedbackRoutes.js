@@ -0,0 +1,26 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { injectFraudService, sendError } = require('./middleware');
+
+const router = express.Router();
+
+// Confirmed frauds that no rule flagged, with the current recall
+router.get('/misses', injectFraudService, async (req, res) => {
+    try {
+        const misses = await req.fraudService.getMisses();
+        const recall = await req.fraudService.getRecall();
+
+        logger.info('Retrieved fraud misses', { count: misses.length });
+
+        res.status(200).json({
+            success: true,
+            count: misses.length,
+            recall,
+            data: misses
+        });
+    } catch (error) {
+        sendError(res, error, 'Error retrieving fraud misses');
+    }
+});
+
+module.exports = router;
@@ -1,14 +1,12 @@
 const express = require('express');
 const logger = require('../utils/logger');
+const RuleEngine = require('../rules/ruleEngine');
+const { AppError } = require('../utils/errors');
+const { injectFraudService, sendError } = require('./middleware');
+const { SORT_COLUMNS, SORT_ORDERS, MAX_LIMIT } = require('../storage/fraudQuery');
 
 const router = express.Router();
 
-// Middleware to inject fraud detection service
-const injectFraudService = (req, res, next) => {
-    req.fraudService = req.app.get('fraudDetectionService');
-    next();
-};
-
 // Health check endpoint
 router.get('/health', (req, res) => {
     const health = {
@@ -27,34 +25,101 @@ router.get('/health', (req, res) => {
     res.status(200).json(health);
 });
 
+// Parse the filter, sort and paging query parameters shared by the fraud listing endpoints
+const parseFraudQuery = (query) => {
+    const criteria = {};
+
+    const parseNumber = (key) => {
+        if (query[key] !== undefined) {
+            const value = Number(query[key]);
+            if (query[key] === '' || isNaN(value)) {
+                throw new AppError(`${key} must be a number`, 400);
+            }
+            criteria[key] = value;
+        }
+    };
+
+    const parseDate = (key) => {
+        if (query[key] !== undefined) {
+            const date = new Date(query[key]);
+            if (isNaN(date.getTime())) {
+                throw new AppError(`${key} must be an ISO 8601 date`, 400);
+            }
+            criteria[key] = date.toISOString();
+        }
+    };
+
+    const parseEnum = (key, allowed) => {
+        if (query[key] !== undefined) {
+            const value = String(query[key]).toUpperCase();
+            if (!allowed.includes(value)) {
+                throw new AppError(`${key} must be one of ${allowed.join(', ')}`, 400);
+            }
+            criteria[key] = value;
+        }
+    };
+
+    ['minScore', 'maxScore', 'minAmount', 'maxAmount'].forEach(parseNumber);
+    ['from', 'to'].forEach(parseDate);
+    parseEnum('decision', RuleEngine.DECISIONS);
+    parseEnum('severity', RuleEngine.SEVERITIES);
+
+    ['location', 'rule', 'cursor'].forEach(key => {
+        if (query[key] !== undefined && query[key] !== '') {
+            criteria[key] = String(query[key]);
+        }
+    });
+
+    if (query.sortBy !== undefined) {
+        if (!Object.keys(SORT_COLUMNS).includes(query.sortBy)) {
+            throw new AppError(`sortBy must be one of ${Object.keys(SORT_COLUMNS).join(', ')}`, 400);
+        }
+        criteria.sortBy = query.sortBy;
+    }
+
+    if (query.order !== undefined) {
+        const order = String(query.order).toLowerCase();
+        if (!SORT_ORDERS.includes(order)) {
+            throw new AppError(`order must be one of ${SORT_ORDERS.join(', ')}`, 400);
+        }
+        criteria.order = order;
+    }
+
+    if (query.limit !== undefined) {
+        const limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            throw new AppError(`limit must be an integer between 1 and ${MAX_LIMIT}`, 400);
+        }
+        criteria.limit = limit;
+    }
+
+    return criteria;
+};
+
 // Get all fraudulent transactions
-router.get('/frauds', injectFraudService, (req, res) => {
+router.get('/frauds', injectFraudService, async (req, res) => {
     try {
-        const fraudulentTransactions = req.fraudService.getAllFraudulentTransactions();
+        const criteria = parseFraudQuery(req.query);
+        const page = await req.fraudService.queryFraudulentTransactions(criteria);
 
         logger.info('Retrieved all fraudulent transactions', {
-            count: fraudulentTransactions.length
+            count: page.data.length,
+            criteria
         });
 
         res.status(200).json({
             success: true,
-            count: fraudulentTransactions.length,
-            data: fraudulentTransactions
+            count: page.data.length,
+            nextCursor: page.nextCursor,
+            data: page.data
         });
     } catch (error) {
-        logger.error('Error retrieving fraudulent transactions', {
-            error: error.message
-        });
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error',
-            message: error.message
-        });
+        sendError(res, error, 'Error retrieving fraudulent transactions');
     }
 });
 
 // Get fraudulent transactions by user ID
-router.get('/frauds/:userId', injectFraudService, (req, res) => {
+router.get('/frauds/:userId', injectFraudService, async (req, res) => {
     try {
         const { userId } = req.params;
 
@@ -65,36 +130,32 @@ router.get('/frauds/:userId', injectFraudService, (req, res) => {
             });
         }
 
-        const fraudulentTransactions = req.fraudService.getFraudulentTransactionsByUserId(userId);
+        const criteria = { ...parseFraudQuery(req.query), userId };
+        const page = await req.fraudService.queryFraudulentTransactions(criteria);
 
         logger.info('Retrieved fraudulent transactions for user', {
             userId,
-            count: fraudulentTransactions.length
+            count: page.data.length
         });
 
         res.status(200).json({
             success: true,
             userId,
-            count: fraudulentTransactions.length,
-            data: fraudulentTransactions
+            count: page.data.length,
+            nextCursor: page.nextCursor,
+            data: page.data
         });
     } catch (error) {
-        logger.error('Error retrieving fraudulent transactions for user', {
-            error: error.message,
+        sendError(res, error, 'Error retrieving fraudulent transactions for user', {
             userId: req.params.userId
         });
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error',
-            message: error.message
-        });
     }
 });
 
 // Get statistics
-router.get('/stats', injectFraudService, (req, res) => {
+router.get('/stats', injectFraudService, async (req, res) => {
     try {
-        const stats = req.fraudService.getStats();
+        const stats = await req.fraudService.getStats();
 
         logger.info('Retrieved fraud detection statistics', { stats });
 
@@ -115,7 +176,7 @@ router.get('/stats', injectFraudService, (req, res) => {
 });
 
 // Get fraudulent transactions by rule
-router.get('/frauds/rule/:rule', injectFraudService, (req, res) => {
+router.get('/frauds/rule/:rule', injectFraudService, async (req, res) => {
     try {
         const { rule } = req.params;
 
@@ -126,29 +187,48 @@ router.get('/frauds/rule/:rule', injectFraudService, (req, res) => {
             });
         }
 
-        const fraudulentTransactions = req.fraudService.getFraudulentTransactionsByRule(rule);
+        const criteria = { ...parseFraudQuery(req.query), rule };
+        const page = await req.fraudService.queryFraudulentTransactions(criteria);
 
         logger.info('Retrieved fraudulent transactions by rule', {
             rule,
-            count: fraudulentTransactions.length
+            count: page.data.length
         });
 
         res.status(200).json({
             success: true,
             rule,
-            count: fraudulentTransactions.length,
-            data: fraudulentTransactions
+            count: page.data.length,
+            nextCursor: page.nextCursor,
+            data: page.data
         });
     } catch (error) {
-        logger.error('Error retrieving fraudulent transactions by rule', {
-            error: error.message,
+        sendError(res, error, 'Error retrieving fraudulent transactions by rule', {
             rule: req.params.rule
         });
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error',
-            message: error.message
+    }
+});
+
+// Get recent hits of a shadow rule
+router.get('/rules/:rule/shadow-hits', injectFraudService, (req, res) => {
+    try {
+        const { rule } = req.params;
+        const shadowHits = req.fraudService.getShadowHits(rule);
+
+        logger.info('Retrieved shadow rule hits', {
+            rule,
+            totalHits: shadowHits.totalHits
         });
+
+        res.status(200).json({
+            success: true,
+            rule,
+            totalHits: shadowHits.totalHits,
+            count: shadowHits.hits.length,
+            data: shadowHits.hits
+        });
+    } catch (error) {
+        sendError(res, error, 'Error retrieving shadow rule hits', { rule: req.params.rule });
     }
 });
 
@@ -175,4 +255,91 @@ router.post('/admin/clear-cache', injectFraudService, (req, res) => {
     }
 });
 
+// List uploaded rule set versions (admin endpoint)
+router.get('/admin/rules', injectFraudService, (req, res) => {
+    try {
+        const ruleSetManager = req.fraudService.getRuleSetManager();
+        const versions = ruleSetManager.list();
+
+        res.status(200).json({
+            success: true,
+            activeVersion: ruleSetManager.activeVersion,
+            count: versions.length,
+            data: versions
+        });
+    } catch (error) {
+        sendError(res, error, 'Error listing rule sets');
+    }
+});
+
+// Get a single rule set version (admin endpoint)
+router.get('/admin/rules/:version', injectFraudService, (req, res) => {
+    try {
+        const ruleSet = req.fraudService.getRuleSetManager().get(req.params.version);
+
+        res.status(200).json({
+            success: true,
+            data: ruleSet
+        });
+    } catch (error) {
+        sendError(res, error, 'Error retrieving rule set', { version: req.params.version });
+    }
+});
+
+// Upload a new rule set version, optionally activating it (admin endpoint)
+router.post('/admin/rules', injectFraudService, async (req, res) => {
+    try {
+        const ruleSetManager = req.fraudService.getRuleSetManager();
+        let ruleSet = await ruleSetManager.upload(req.body);
+
+        if (req.query.activate === 'true') {
+            ruleSet = await ruleSetManager.activate(ruleSet.version);
+        }
+
+        logger.info('Rule set uploaded by admin request', {
+            version: ruleSet.version,
+            active: ruleSet.active
+        });
+
+        res.status(201).json({
+            success: true,
+            data: ruleSet
+        });
+    } catch (error) {
+        sendError(res, error, 'Error uploading rule set');
+    }
+});
+
+// Activate a rule set version (admin endpoint)
+router.post('/admin/rules/:version/activate', injectFraudService, async (req, res) => {
+    try {
+        const ruleSet = await req.fraudService.getRuleSetManager().activate(req.params.version);
+
+        logger.info('Rule set activated by admin request', { version: ruleSet.version });
+
+        res.status(200).json({
+            success: true,
+            data: ruleSet
+        });
+    } catch (error) {
+        sendError(res, error, 'Error activating rule set', { version: req.params.version });
+    }
+});
+
+// Roll back to the previously active rule set version (admin endpoint)
+router.post('/admin/rules/rollback', injectFraudService, async (req, res) => {
+    try {
+        const ruleSet = await req.fraudService.getRuleSetManager().rollback();
+
+        logger.info('Rule set rolled back by admin request', { version: ruleSet.version });
+
+        res.status(200).json({
+            success: true,
+            data: ruleSet
+        });
+    } catch (error) {
+        sendError(res, error, 'Error rolling back rule set');
+    }
+});
+
 module.exports = router;
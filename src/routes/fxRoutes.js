@@ -0,0 +1,36 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { injectFraudService, sendError } = require('./middleware');
+
+const router = express.Router();
+
+// Get the FX rate table used to normalize amounts (admin endpoint)
+router.get('/admin/fx-rates', injectFraudService, (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: req.fraudService.getFxRates().describe()
+        });
+    } catch (error) {
+        sendError(res, error, 'Error retrieving FX rates');
+    }
+});
+
+// Replace the FX rate table with the posted one, or reload it from FX_RATES_PATH when the body is empty (admin endpoint)
+router.post('/admin/fx-rates/refresh', injectFraudService, (req, res) => {
+    try {
+        const hasTable = req.body && Object.keys(req.body).length > 0;
+        const fxRates = req.fraudService.refreshFxRates(hasTable ? req.body : undefined);
+
+        logger.info('FX rates refreshed by admin request', { source: fxRates.source, asOf: fxRates.asOf });
+
+        res.status(200).json({
+            success: true,
+            data: fxRates
+        });
+    } catch (error) {
+        sendError(res, error, 'Error refreshing FX rates');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { injectFraudService, sendError } = require('./middleware');
+
+const router = express.Router();
+
+// List incidents, most recently seen first, optionally filtered by ?userId= and ?rule=
+router.get('/incidents', injectFraudService, async (req, res) => {
+    try {
+        const incidents = await req.fraudService.getIncidentManager().list({
+            userId: req.query.userId,
+            rule: req.query.rule !== undefined ? String(req.query.rule).toUpperCase() : undefined
+        });
+
+        logger.info('Retrieved incidents', { count: incidents.length, userId: req.query.userId, rule: req.query.rule });
+
+        res.status(200).json({
+            success: true,
+            count: incidents.length,
+            data: incidents
+        });
+    } catch (error) {
+        sendError(res, error, 'Error listing incidents');
+    }
+});
+
+// Get an incident with its hit count and first-seen/last-seen range
+router.get('/incidents/:id', injectFraudService, async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: await req.fraudService.getIncidentManager().get(req.params.id)
+        });
+    } catch (error) {
+        sendError(res, error, 'Error retrieving incident', { id: req.params.id });
+    }
+});
+
+// The fraud records grouped into an incident
+router.get('/incidents/:id/transactions', injectFraudService, async (req, res) => {
+    try {
+        const records = await req.fraudService.getIncidentManager().getTransactions(req.params.id);
+
+        res.status(200).json({
+            success: true,
+            count: records.length,
+            data: records
+        });
+    } catch (error) {
+        sendError(res, error, 'Error retrieving incident transactions', { id: req.params.id });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const { injectFraudService, sendError } = require('./middleware');
+
+const router = express.Router();
+
+// List allow/block/watch entries, optionally filtered by ?list= and ?entityType= (admin endpoint)
+router.get('/admin/lists', injectFraudService, (req, res) => {
+    try {
+        const entries = req.fraudService.getListManager().list({
+            list: req.query.list,
+            entityType: req.query.entityType,
+            includeExpired: req.query.includeExpired === 'true'
+        });
+
+        res.status(200).json({
+            success: true,
+            count: entries.length,
+            data: entries
+        });
+    } catch (error) {
+        sendError(res, error, 'Error listing list entries');
+    }
+});
+
+// Bulk import list entries from a CSV body (admin endpoint)
+router.post(
+    '/admin/lists/import',
+    express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+    injectFraudService,
+    async (req, res) => {
+        try {
+            if (typeof req.body !== 'string') {
+                throw new AppError('Expected a text/csv body', 400);
+            }
+
+            const { imported, errors } = await req.fraudService.getListManager().importCsv(req.body);
+
+            logger.info('List entries imported by admin request', { imported: imported.length, failed: errors.length });
+
+            res.status(errors.length > 0 && imported.length === 0 ? 400 : 200).json({
+                success: imported.length > 0 || errors.length === 0,
+                imported: imported.length,
+                failed: errors.length,
+                errors,
+                data: imported
+            });
+        } catch (error) {
+            sendError(res, error, 'Error importing list entries');
+        }
+    }
+);
+
+// Get a single list entry (admin endpoint)
+router.get('/admin/lists/:id', injectFraudService, (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: req.fraudService.getListManager().get(req.params.id)
+        });
+    } catch (error) {
+        sendError(res, error, 'Error retrieving list entry', { id: req.params.id });
+    }
+});
+
+// Add a list entry (admin endpoint)
+router.post('/admin/lists', injectFraudService, async (req, res) => {
+    try {
+        const entry = await req.fraudService.getListManager().create(req.body);
+
+        res.status(201).json({
+            success: true,
+            data: entry
+        });
+    } catch (error) {
+        sendError(res, error, 'Error creating list entry');
+    }
+});
+
+// Update a list entry (admin endpoint)
+router.put('/admin/lists/:id', injectFraudService, async (req, res) => {
+    try {
+        const entry = await req.fraudService.getListManager().update(req.params.id, req.body);
+
+        res.status(200).json({
+            success: true,
+            data: entry
+        });
+    } catch (error) {
+        sendError(res, error, 'Error updating list entry', { id: req.params.id });
+    }
+});
+
+// Delete a list entry (admin endpoint)
+router.delete('/admin/lists/:id', injectFraudService, async (req, res) => {
+    try {
+        const entry = await req.fraudService.getListManager().remove(req.params.id);
+
+        res.status(200).json({
+            success: true,
+            data: entry
+        });
+    } catch (error) {
+        sendError(res, error, 'Error deleting list entry', { id: req.params.id });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const logger = require('../utils/logger');
+
+// Middleware to inject fraud detection service
+const injectFraudService = (req, res, next) => {
+    req.fraudService = req.app.get('fraudDetectionService');
+    next();
+};
+
+// Middleware to inject the Kafka consumer
+const injectKafkaConsumer = (req, res, next) => {
+    req.kafkaConsumer = req.app.get('kafkaConsumer');
+    next();
+};
+
+// Respond with the status carried by an AppError, or a generic 500
+const sendError = (res, error, message, meta = {}) => {
+    const statusCode = error.statusCode || 500;
+
+    if (statusCode >= 500) {
+        logger.error(message, { error: error.message, ...meta });
+    } else {
+        logger.warn(message, { error: error.message, ...meta });
+    }
+
+    res.status(statusCode).json({
+        success: false,
+        error: statusCode >= 500 ? 'Internal server error' : error.message,
+        message: error.message
+    });
+};
+
+module.exports = {
+    injectFraudService,
+    injectKafkaConsumer,
+    sendError
+};
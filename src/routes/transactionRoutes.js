@@ -0,0 +1,159 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const Transaction = require('../models/transaction');
+const { injectFraudService, sendError } = require('./middleware');
+
+const router = express.Router();
+
+const getBatchLimit = () => parseInt(process.env.BATCH_EVALUATE_LIMIT, 10) || 1000;
+
+// Parse newline-delimited JSON, keeping unparsable lines as per-item errors
+const parseNdjson = (body) => {
+    return body
+        .split(/\r?\n/)
+        .filter(line => line.trim() !== '')
+        .map(line => {
+            try {
+                return { data: JSON.parse(line) };
+            } catch (error) {
+                return { parseError: `Invalid JSON: ${error.message}` };
+            }
+        });
+};
+
+// Accept either a JSON array or an NDJSON body
+const parseBatchBody = (req) => {
+    if (Array.isArray(req.body)) {
+        return req.body.map(data => ({ data }));
+    }
+
+    if (typeof req.body === 'string') {
+        return parseNdjson(req.body);
+    }
+
+    return null;
+};
+
+// Shape the evaluation result returned to synchronous callers
+const toEvaluationResponse = (result) => ({
+    transactionId: result.transaction.transactionId,
+    isSuspicious: result.isSuspicious,
+    decision: result.decision,
+    riskScore: result.riskScore,
+    violations: result.violations,
+    ruleSetVersion: result.ruleSetVersion,
+    dryRun: result.dryRun,
+    duplicate: Boolean(result.duplicate)
+});
+
+// Evaluate a single transaction inline, without going through Kafka
+router.post('/transactions/evaluate', injectFraudService, async (req, res) => {
+    const dryRun = req.query.dryRun === 'true';
+
+    try {
+        Transaction.validate(req.body, { dryRun });
+    } catch (error) {
+        logger.warn('Rejected transaction evaluation request', {
+            error: error.message,
+            transactionId: req.body?.transactionId
+        });
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid transaction',
+            message: error.message,
+            errors: error.errors
+        });
+    }
+
+    try {
+        const result = await req.fraudService.processTransaction(req.body, { dryRun });
+
+        logger.info('Evaluated transaction synchronously', {
+            transactionId: result.transaction.transactionId,
+            decision: result.decision,
+            dryRun
+        });
+
+        res.status(200).json({
+            success: true,
+            data: toEvaluationResponse(result)
+        });
+    } catch (error) {
+        sendError(res, error, 'Error evaluating transaction', {
+            transactionId: req.body?.transactionId
+        });
+    }
+});
+
+// Evaluate a batch of transactions, reporting a result or error per item
+router.post(
+    '/transactions/evaluate/batch',
+    express.text({ type: ['application/x-ndjson', 'application/ndjson'], limit: '10mb' }),
+    injectFraudService,
+    async (req, res) => {
+        const dryRun = req.query.dryRun === 'true';
+        const items = parseBatchBody(req);
+        const limit = getBatchLimit();
+
+        if (!items) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid batch',
+                message: 'Body must be a JSON array or NDJSON'
+            });
+        }
+
+        if (items.length > limit) {
+            return res.status(413).json({
+                success: false,
+                error: 'Batch too large',
+                message: `Batch contains ${items.length} transactions, the limit is ${limit}`
+            });
+        }
+
+        const summary = { total: items.length, evaluated: 0, suspicious: 0, invalid: 0, failed: 0 };
+        const results = [];
+
+        // Items run one after another so velocity rules see them in order
+        for (const [index, item] of items.entries()) {
+            const transactionId = item.data?.transactionId;
+
+            if (item.parseError) {
+                summary.invalid += 1;
+                results.push({ index, status: 'invalid', error: item.parseError });
+                continue;
+            }
+
+            try {
+                Transaction.validate(item.data, { dryRun });
+            } catch (error) {
+                summary.invalid += 1;
+                results.push({ index, transactionId, status: 'invalid', error: error.message, errors: error.errors });
+                continue;
+            }
+
+            try {
+                const result = await req.fraudService.processTransaction(item.data, { dryRun });
+
+                summary.evaluated += 1;
+                if (result.isSuspicious) {
+                    summary.suspicious += 1;
+                }
+                results.push({ index, status: 'evaluated', ...toEvaluationResponse(result) });
+            } catch (error) {
+                summary.failed += 1;
+                results.push({ index, transactionId, status: 'failed', error: error.message });
+            }
+        }
+
+        logger.info('Evaluated transaction batch', { ...summary, dryRun });
+
+        res.status(200).json({
+            success: true,
+            summary,
+            data: results
+        });
+    }
+);
+
+module.exports = router;
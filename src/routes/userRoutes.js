@@ -0,0 +1,24 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { injectFraudService, sendError } = require('./middleware');
+
+const router = express.Router();
+
+// Get the behavioral profile (spend baseline, usual locations and hours) of a user
+router.get('/users/:userId/profile', injectFraudService, (req, res) => {
+    try {
+        const { userId } = req.params;
+        const profile = req.fraudService.getUserProfile(userId);
+
+        logger.info('Retrieved user profile', { userId, transactionCount: profile.transactionCount });
+
+        res.status(200).json({
+            success: true,
+            data: profile
+        });
+    } catch (error) {
+        sendError(res, error, 'Error retrieving user profile', { userId: req.params.userId });
+    }
+});
+
+module.exports = router;
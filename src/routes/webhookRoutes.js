@@ -0,0 +1,96 @@
+const express = require('express');
+const { injectFraudService, sendError } = require('./middleware');
+
+const router = express.Router();
+
+// List registered webhooks (admin endpoint)
+router.get('/admin/webhooks', injectFraudService, (req, res) => {
+    try {
+        const webhooks = req.fraudService.getWebhookManager().list();
+
+        res.status(200).json({
+            success: true,
+            count: webhooks.length,
+            data: webhooks
+        });
+    } catch (error) {
+        sendError(res, error, 'Error listing webhooks');
+    }
+});
+
+// Get a single webhook (admin endpoint)
+router.get('/admin/webhooks/:id', injectFraudService, (req, res) => {
+    try {
+        const webhookManager = req.fraudService.getWebhookManager();
+
+        res.status(200).json({
+            success: true,
+            data: webhookManager.describe(webhookManager.get(req.params.id))
+        });
+    } catch (error) {
+        sendError(res, error, 'Error retrieving webhook', { id: req.params.id });
+    }
+});
+
+// Register a webhook; the response is the only one that includes the signing secret (admin endpoint)
+router.post('/admin/webhooks', injectFraudService, async (req, res) => {
+    try {
+        const webhook = await req.fraudService.getWebhookManager().create(req.body);
+
+        res.status(201).json({
+            success: true,
+            data: webhook
+        });
+    } catch (error) {
+        sendError(res, error, 'Error registering webhook');
+    }
+});
+
+// Update a webhook (admin endpoint)
+router.put('/admin/webhooks/:id', injectFraudService, async (req, res) => {
+    try {
+        const webhookManager = req.fraudService.getWebhookManager();
+        const webhook = await webhookManager.update(req.params.id, req.body);
+
+        res.status(200).json({
+            success: true,
+            data: webhookManager.describe(webhook)
+        });
+    } catch (error) {
+        sendError(res, error, 'Error updating webhook', { id: req.params.id });
+    }
+});
+
+// Delete a webhook (admin endpoint)
+router.delete('/admin/webhooks/:id', injectFraudService, async (req, res) => {
+    try {
+        const webhookManager = req.fraudService.getWebhookManager();
+        const webhook = await webhookManager.remove(req.params.id);
+
+        res.status(200).json({
+            success: true,
+            data: webhookManager.describe(webhook)
+        });
+    } catch (error) {
+        sendError(res, error, 'Error deleting webhook', { id: req.params.id });
+    }
+});
+
+// Delivery log of a webhook with every attempt, newest first, optionally filtered by ?status= (admin endpoint)
+router.get('/admin/webhooks/:id/deliveries', injectFraudService, (req, res) => {
+    try {
+        const deliveries = req.fraudService.getWebhookManager().getDeliveries(req.params.id, {
+            status: req.query.status !== undefined ? String(req.query.status).toUpperCase() : undefined
+        });
+
+        res.status(200).json({
+            success: true,
+            count: deliveries.length,
+            data: deliveries
+        });
+    } catch (error) {
+        sendError(res, error, 'Error retrieving webhook deliveries', { id: req.params.id });
+    }
+});
+
+module.exports = router;
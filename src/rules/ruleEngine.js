@@ -0,0 +1,590 @@
+const { haversineKm } = require('../geo');
+
+const RULE_TYPES = ['condition', 'velocity', 'geoVelocity', 'anomaly', 'structuring'];
+// Rule types evaluated against the user's recent transactions rather than one transaction
+const WINDOWED_RULE_TYPES = ['velocity', 'geoVelocity', 'structuring'];
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+// Shadow rules are evaluated and recorded but never flag a transaction
+const MODES = ['live', 'shadow'];
+const DECISIONS = ['APPROVE', 'REVIEW', 'DECLINE'];
+const MAX_RISK_SCORE = 100;
+
+// Weight a rule contributes to the risk score when the rule file does not set one
+const DEFAULT_WEIGHTS = {
+    LOW: 10,
+    MEDIUM: 25,
+    HIGH: 50,
+    CRITICAL: 100
+};
+
+// Score bands used when the rule file does not define its own
+const DEFAULT_SCORE_BANDS = [
+    { decision: 'APPROVE', maxScore: 29 },
+    { decision: 'REVIEW', maxScore: 69 },
+    { decision: 'DECLINE', maxScore: MAX_RISK_SCORE }
+];
+
+// Longest "matches" pattern a rule may use, and nested quantifiers such as (a+)+ that can backtrack
+// catastrophically; both are rejected when the rule set is loaded
+const MAX_PATTERN_LENGTH = 256;
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*(?:[+*]|,\d*\})(?:[^()\\]|\\.)*\)[+*{]/;
+
+// Compiled "matches" patterns keyed by source; only patterns from validated rule sets are added
+const compiledPatterns = new Map();
+
+const compilePattern = (pattern) => {
+    if (!compiledPatterns.has(pattern)) {
+        compiledPatterns.set(pattern, new RegExp(pattern));
+    }
+    return compiledPatterns.get(pattern);
+};
+
+// Comparison operators available to field conditions
+const OPERATORS = {
+    eq: (actual, expected) => actual === expected,
+    neq: (actual, expected) => actual !== expected,
+    gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+    gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+    lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+    lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+    in: (actual, expected) => expected.includes(actual),
+    notIn: (actual, expected) => !expected.includes(actual),
+    divisibleBy: (actual, expected) => typeof actual === 'number' && actual % expected === 0,
+    matches: (actual, expected) => typeof actual === 'string' && compilePattern(expected).test(actual),
+    exists: (actual, expected) => (actual !== undefined && actual !== null) === expected
+};
+
+// Operators that compare against a number; any other value would never match
+const NUMERIC_OPERATORS = ['gt', 'gte', 'lt', 'lte', 'divisibleBy'];
+
+// Aggregations a velocity rule can compute over a user's transactions within its window
+const VELOCITY_AGGREGATIONS = {
+    count: (events) => events.length,
+    sum: (events, field) => events.reduce((total, event) => (
+        typeof event.fields[field] === 'number' ? total + event.fields[field] : total
+    ), 0),
+    distinct: (events, field) => new Set(
+        events.map(event => event.fields[field]).filter(value => value !== undefined && value !== null)
+    ).size
+};
+
+// The threshold a structuring rule's band places an amount just below, if any
+const structuringBand = (rule, amount) => rule.thresholds.find(threshold => (
+    typeof amount === 'number' && amount < threshold && amount >= threshold * (1 - rule.bandPercent / 100)
+));
+
+const getFieldValue = (context, field) => {
+    return field.split('.').reduce(
+        (value, key) => (value === undefined || value === null ? undefined : value[key]),
+        context
+    );
+};
+
+// Replace {placeholder} tokens in a rule description
+const formatDescription = (template, values = {}) => {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (
+        values[key] !== undefined ? String(values[key]) : match
+    ));
+};
+
+const validateCondition = (condition, ruleName) => {
+    if (!condition || typeof condition !== 'object') {
+        throw new Error(`Rule ${ruleName}: condition must be an object`);
+    }
+
+    if (condition.all || condition.any) {
+        const children = condition.all || condition.any;
+        if (!Array.isArray(children) || children.length === 0) {
+            throw new Error(`Rule ${ruleName}: "all"/"any" must be a non-empty array`);
+        }
+        children.forEach(child => validateCondition(child, ruleName));
+        return;
+    }
+
+    if (condition.not) {
+        validateCondition(condition.not, ruleName);
+        return;
+    }
+
+    if (typeof condition.field !== 'string' || condition.field === '') {
+        throw new Error(`Rule ${ruleName}: condition field must be a non-empty string`);
+    }
+
+    if (!OPERATORS[condition.operator]) {
+        throw new Error(`Rule ${ruleName}: unknown operator "${condition.operator}"`);
+    }
+
+    if (['in', 'notIn'].includes(condition.operator) && !Array.isArray(condition.value)) {
+        throw new Error(`Rule ${ruleName}: operator "${condition.operator}" requires an array value`);
+    }
+
+    if (NUMERIC_OPERATORS.includes(condition.operator)
+        && !(typeof condition.value === 'number' && Number.isFinite(condition.value))) {
+        throw new Error(`Rule ${ruleName}: operator "${condition.operator}" requires a numeric value`);
+    }
+
+    if (condition.operator === 'divisibleBy' && condition.value === 0) {
+        throw new Error(`Rule ${ruleName}: operator "divisibleBy" requires a non-zero value`);
+    }
+
+    if (condition.operator === 'matches') {
+        validatePattern(condition.value, ruleName);
+    }
+};
+
+const validatePattern = (pattern, ruleName) => {
+    if (typeof pattern !== 'string' || pattern === '') {
+        throw new Error(`Rule ${ruleName}: operator "matches" requires a non-empty string pattern`);
+    }
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+        throw new Error(`Rule ${ruleName}: pattern must be at most ${MAX_PATTERN_LENGTH} characters`);
+    }
+    if (NESTED_QUANTIFIER.test(pattern)) {
+        throw new Error(`Rule ${ruleName}: pattern must not nest quantifiers`);
+    }
+
+    try {
+        compilePattern(pattern);
+    } catch (error) {
+        throw new Error(`Rule ${ruleName}: invalid pattern: ${error.message}`);
+    }
+};
+
+const validateRule = (rule) => {
+    if (!rule || typeof rule.name !== 'string' || rule.name === '') {
+        throw new Error('Rule name must be a non-empty string');
+    }
+
+    const type = rule.type || 'condition';
+    if (!RULE_TYPES.includes(type)) {
+        throw new Error(`Rule ${rule.name}: unknown rule type "${type}"`);
+    }
+
+    if (!SEVERITIES.includes(rule.severity)) {
+        throw new Error(`Rule ${rule.name}: severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+
+    const weight = rule.weight !== undefined ? rule.weight : DEFAULT_WEIGHTS[rule.severity];
+    if (typeof weight !== 'number' || weight < 0 || weight > MAX_RISK_SCORE) {
+        throw new Error(`Rule ${rule.name}: weight must be a number between 0 and ${MAX_RISK_SCORE}`);
+    }
+
+    const mode = rule.mode || 'live';
+    if (!MODES.includes(mode)) {
+        throw new Error(`Rule ${rule.name}: mode must be one of ${MODES.join(', ')}`);
+    }
+
+    if (type === 'condition') {
+        validateCondition(rule.condition, rule.name);
+    }
+
+    if (type === 'velocity') {
+        if (typeof rule.windowSeconds !== 'number' || rule.windowSeconds <= 0) {
+            throw new Error(`Rule ${rule.name}: windowSeconds must be a positive number`);
+        }
+
+        const aggregation = rule.aggregation || 'count';
+        if (!VELOCITY_AGGREGATIONS[aggregation]) {
+            throw new Error(`Rule ${rule.name}: aggregation must be one of ${Object.keys(VELOCITY_AGGREGATIONS).join(', ')}`);
+        }
+
+        // Count rules may keep using maxTransactions as their threshold
+        const threshold = rule.threshold !== undefined ? rule.threshold : rule.maxTransactions;
+        if (typeof threshold !== 'number' || threshold < 0) {
+            throw new Error(`Rule ${rule.name}: threshold must be a non-negative number`);
+        }
+
+        if (aggregation !== 'count' && (typeof rule.field !== 'string' || rule.field === '')) {
+            throw new Error(`Rule ${rule.name}: "${aggregation}" aggregation requires a field`);
+        }
+
+        return { ...rule, type, mode, weight, aggregation, threshold, enabled: rule.enabled !== false };
+    }
+
+    if (type === 'geoVelocity') {
+        if (typeof rule.maxSpeedKmh !== 'number' || rule.maxSpeedKmh <= 0) {
+            throw new Error(`Rule ${rule.name}: maxSpeedKmh must be a positive number`);
+        }
+
+        const windowSeconds = rule.windowSeconds !== undefined ? rule.windowSeconds : 86400;
+        if (typeof windowSeconds !== 'number' || windowSeconds <= 0) {
+            throw new Error(`Rule ${rule.name}: windowSeconds must be a positive number`);
+        }
+
+        // Ignore hops shorter than this, e.g. neighbouring cities resolved to one country centroid
+        const minDistanceKm = rule.minDistanceKm !== undefined ? rule.minDistanceKm : 0;
+        if (typeof minDistanceKm !== 'number' || minDistanceKm < 0) {
+            throw new Error(`Rule ${rule.name}: minDistanceKm must be a non-negative number`);
+        }
+
+        return { ...rule, type, mode, weight, windowSeconds, minDistanceKm, enabled: rule.enabled !== false };
+    }
+
+    if (type === 'structuring') {
+        if (!Array.isArray(rule.thresholds) || rule.thresholds.length === 0
+            || rule.thresholds.some(threshold => typeof threshold !== 'number' || threshold <= 0)) {
+            throw new Error(`Rule ${rule.name}: thresholds must be a non-empty array of positive numbers`);
+        }
+        if (typeof rule.bandPercent !== 'number' || rule.bandPercent <= 0 || rule.bandPercent >= 100) {
+            throw new Error(`Rule ${rule.name}: bandPercent must be a number between 0 and 100`);
+        }
+        if (typeof rule.windowSeconds !== 'number' || rule.windowSeconds <= 0) {
+            throw new Error(`Rule ${rule.name}: windowSeconds must be a positive number`);
+        }
+        if (typeof rule.minTransactions !== 'number' || rule.minTransactions < 2) {
+            throw new Error(`Rule ${rule.name}: minTransactions must be a number of at least 2`);
+        }
+
+        return { ...rule, type, mode, weight, field: rule.field || 'amount', enabled: rule.enabled !== false };
+    }
+
+    if (type === 'anomaly') {
+        // Transactions a profile needs before it is trusted as a baseline
+        const minTransactions = rule.minTransactions !== undefined ? rule.minTransactions : 5;
+        if (typeof minTransactions !== 'number' || minTransactions < 1) {
+            throw new Error(`Rule ${rule.name}: minTransactions must be a positive number`);
+        }
+
+        ['maxAmountZScore', 'minHourShare'].forEach(key => {
+            if (rule[key] !== undefined && (typeof rule[key] !== 'number' || rule[key] <= 0)) {
+                throw new Error(`Rule ${rule.name}: ${key} must be a positive number`);
+            }
+        });
+
+        if (rule.maxAmountZScore === undefined && !rule.newLocation && rule.minHourShare === undefined) {
+            throw new Error(`Rule ${rule.name}: set at least one of maxAmountZScore, newLocation, minHourShare`);
+        }
+
+        return { ...rule, type, mode, weight, minTransactions, enabled: rule.enabled !== false };
+    }
+
+    return { ...rule, type, mode, weight, enabled: rule.enabled !== false };
+};
+
+const validateScoring = (scoring = {}) => {
+    const bands = scoring.bands || DEFAULT_SCORE_BANDS;
+
+    if (!Array.isArray(bands) || bands.length === 0) {
+        throw new Error('Scoring bands must be a non-empty array');
+    }
+
+    bands.forEach((band, index) => {
+        if (!DECISIONS.includes(band.decision)) {
+            throw new Error(`Scoring band decision must be one of ${DECISIONS.join(', ')}`);
+        }
+        if (typeof band.maxScore !== 'number') {
+            throw new Error(`Scoring band ${band.decision}: maxScore must be a number`);
+        }
+        if (index > 0 && band.maxScore <= bands[index - 1].maxScore) {
+            throw new Error('Scoring bands must be ordered by ascending maxScore');
+        }
+    });
+
+    if (bands[bands.length - 1].maxScore < MAX_RISK_SCORE) {
+        throw new Error(`The last scoring band must reach a maxScore of ${MAX_RISK_SCORE}`);
+    }
+
+    return { ...scoring, bands };
+};
+
+const validateRuleSet = (ruleSet) => {
+    if (!ruleSet || !Array.isArray(ruleSet.rules)) {
+        throw new Error('Rule set must contain a "rules" array');
+    }
+
+    const names = new Set();
+    const rules = ruleSet.rules.map(rule => {
+        const validated = validateRule(rule);
+        if (names.has(validated.name)) {
+            throw new Error(`Duplicate rule name: ${validated.name}`);
+        }
+        names.add(validated.name);
+        return validated;
+    });
+
+    return {
+        ...ruleSet,
+        version: ruleSet.version !== undefined ? String(ruleSet.version) : undefined,
+        scoring: validateScoring(ruleSet.scoring),
+        rules
+    };
+};
+
+class RuleEngine {
+    constructor(ruleSet) {
+        this.ruleSet = validateRuleSet(ruleSet);
+    }
+
+    get version() {
+        return this.ruleSet.version;
+    }
+
+    getRules(type) {
+        return this.ruleSet.rules.filter(rule => rule.enabled && (!type || rule.type === type));
+    }
+
+    evaluateCondition(condition, context) {
+        if (condition.all) {
+            return condition.all.every(child => this.evaluateCondition(child, context));
+        }
+        if (condition.any) {
+            return condition.any.some(child => this.evaluateCondition(child, context));
+        }
+        if (condition.not) {
+            return !this.evaluateCondition(condition.not, context);
+        }
+
+        const actual = getFieldValue(context, condition.field);
+        return OPERATORS[condition.operator](actual, condition.value);
+    }
+
+    getShadowRules() {
+        return this.getRules().filter(rule => rule.mode === 'shadow');
+    }
+
+    // Build a violation for a rule hit; shadow hits are marked so callers can keep them apart
+    createViolation(rule, values, extra = {}) {
+        const violation = {
+            rule: rule.name,
+            description: formatDescription(rule.description || rule.name, values),
+            severity: rule.severity,
+            ...extra
+        };
+
+        if (rule.mode === 'shadow') {
+            violation.shadow = true;
+        }
+
+        return violation;
+    }
+
+    // Sum the weights of the violated rules into a 0-100 risk score and map it to a decision; violations
+    // raised outside the rule set (e.g. list matches) carry their own weight
+    score(violations) {
+        const weights = new Map(this.ruleSet.rules.map(rule => [rule.name, rule.weight]));
+        const total = violations.reduce((sum, violation) => (
+            sum + (weights.has(violation.rule) ? weights.get(violation.rule) : violation.weight || 0)
+        ), 0);
+        const riskScore = Math.min(MAX_RISK_SCORE, total);
+        const band = this.ruleSet.scoring.bands.find(candidate => riskScore <= candidate.maxScore);
+
+        return {
+            riskScore,
+            decision: band.decision
+        };
+    }
+
+    // Rules that need the user's recent transactions (velocity and geo-velocity)
+    getWindowedRules() {
+        return this.getRules().filter(rule => WINDOWED_RULE_TYPES.includes(rule.type));
+    }
+
+    // Fields velocity rules aggregate, which callers must keep for each transaction in the window
+    getVelocityFields() {
+        return [...new Set(this.getWindowedRules().filter(rule => rule.field).map(rule => rule.field))];
+    }
+
+    // Pick the transaction fields velocity rules need, as stored alongside each windowed event
+    extractVelocityFields(context) {
+        return Object.fromEntries(this.getVelocityFields().map(field => [field, getFieldValue(context, field)]));
+    }
+
+    // Whether an event's amount lands in any structuring rule's band; only those events need to be kept
+    // for the long structuring windows
+    isStructuringCandidate(fields) {
+        return this.getRules('structuring').some(rule => structuringBand(rule, fields[rule.field]) !== undefined);
+    }
+
+    // Evaluate every enabled velocity rule for the event at eventTime, given the user's windowed
+    // events ({ timestamp, fields }, including this one)
+    evaluateVelocity(events, eventTime) {
+        const violations = [];
+
+        this.getRules('velocity').forEach(rule => {
+            const value = this.aggregateBusiestWindow(rule, events, eventTime);
+
+            if (value > rule.threshold) {
+                const values = {
+                    count: value,
+                    value,
+                    threshold: rule.threshold,
+                    field: rule.field,
+                    windowSeconds: rule.windowSeconds,
+                    maxTransactions: rule.threshold
+                };
+                const extra = rule.aggregation === 'count'
+                    ? { transactionCount: value }
+                    : { aggregation: rule.aggregation, field: rule.field, value, threshold: rule.threshold };
+
+                violations.push(this.createViolation(rule, values, extra));
+            }
+        });
+
+        return violations;
+    }
+
+    // Compare an event with the user's previous and next located transactions (events sorted by event
+    // time, each with { coordinates, location }) and flag travel faster than each geo-velocity rule allows
+    evaluateGeoVelocity(events, event) {
+        if (!event.coordinates) {
+            return [];
+        }
+
+        const eventTime = event.timestamp;
+        const located = events.filter(candidate => candidate !== event && candidate.coordinates);
+        const previous = located.filter(candidate => candidate.timestamp <= eventTime).pop();
+        const next = located.find(candidate => candidate.timestamp > eventTime);
+
+        const violations = [];
+        this.getRules('geoVelocity').forEach(rule => {
+            const trips = [previous, next]
+                .filter(other => other && Math.abs(other.timestamp - eventTime) < rule.windowSeconds * 1000)
+                .map(other => {
+                    const distanceKm = haversineKm(other.coordinates, event.coordinates);
+                    const hours = Math.abs(other.timestamp - eventTime) / 3600000;
+                    return { other, distanceKm, hours, speedKmh: hours > 0 ? distanceKm / hours : Infinity };
+                })
+                .filter(trip => trip.distanceKm > rule.minDistanceKm && trip.speedKmh > rule.maxSpeedKmh)
+                .sort((a, b) => b.speedKmh - a.speedKmh);
+
+            if (trips.length === 0) {
+                return;
+            }
+
+            const { other, distanceKm, hours, speedKmh } = trips[0];
+            const values = {
+                distanceKm: Math.round(distanceKm),
+                minutes: Math.round(hours * 60),
+                speedKmh: Number.isFinite(speedKmh) ? Math.round(speedKmh) : 'unbounded',
+                maxSpeedKmh: rule.maxSpeedKmh,
+                fromLocation: other.location,
+                toLocation: event.location
+            };
+
+            violations.push(this.createViolation(rule, values, {
+                distanceKm: values.distanceKm,
+                speedKmh: Number.isFinite(speedKmh) ? values.speedKmh : null,
+                otherTransactionId: other.transactionId,
+                otherLocation: other.location
+            }));
+        });
+
+        return violations;
+    }
+
+    // Compare a transaction with the user's behavioral profile (built from earlier transactions only) and
+    // flag the deviations each anomaly rule checks for; profiles below minTransactions are not trusted yet
+    evaluateAnomaly(profile, context) {
+        if (!profile) {
+            return [];
+        }
+
+        const violations = [];
+        this.getRules('anomaly').forEach(rule => {
+            if (profile.transactionCount < rule.minTransactions) {
+                return;
+            }
+
+            const anomalies = [];
+            const amountZScore = profile.amountZScore(context.amount);
+            const hourShare = profile.hourShare(new Date(context.timestamp).getUTCHours());
+
+            if (rule.maxAmountZScore !== undefined && amountZScore !== null
+                && Math.abs(amountZScore) > rule.maxAmountZScore) {
+                anomalies.push('amount');
+            }
+            if (rule.newLocation && !profile.hasSeenLocation(context.location)) {
+                anomalies.push('location');
+            }
+            if (rule.minHourShare !== undefined && hourShare < rule.minHourShare) {
+                anomalies.push('hour');
+            }
+
+            if (anomalies.length === 0) {
+                return;
+            }
+
+            const values = {
+                ...context,
+                anomalies: anomalies.join(', '),
+                amountZScore: amountZScore !== null ? amountZScore.toFixed(1) : 'n/a',
+                meanAmount: profile.meanAmount.toFixed(2)
+            };
+
+            violations.push(this.createViolation(rule, values, {
+                anomalies,
+                amountZScore: amountZScore !== null ? Number(amountZScore.toFixed(2)) : null
+            }));
+        });
+
+        return violations;
+    }
+
+    // Flag a user whose transactions repeatedly land in the band just below a threshold (e.g. 9,000-9,999
+    // under a 10,000 reporting limit); a single in-band amount is not enough, the pattern must reach
+    // minTransactions within the window
+    evaluateStructuring(events, event) {
+        const violations = [];
+
+        this.getRules('structuring').forEach(rule => {
+            const bandOf = amount => structuringBand(rule, amount);
+
+            const threshold = bandOf(event.fields[rule.field]);
+            if (threshold === undefined) {
+                return;
+            }
+
+            const inBand = (candidates) => candidates.filter(candidate => bandOf(candidate.fields[rule.field]) !== undefined);
+            const count = this.aggregateBusiestWindow(rule, events, event.timestamp, candidates => inBand(candidates).length);
+
+            if (count >= rule.minTransactions) {
+                const windowStart = event.timestamp - rule.windowSeconds * 1000;
+                const totalAmount = inBand(events.filter(candidate => candidate.timestamp > windowStart))
+                    .reduce((sum, candidate) => sum + candidate.fields[rule.field], 0);
+
+                violations.push(this.createViolation(rule, {
+                    count,
+                    threshold,
+                    totalAmount,
+                    bandPercent: rule.bandPercent,
+                    windowSeconds: rule.windowSeconds,
+                    windowDays: +(rule.windowSeconds / 86400).toFixed(1)
+                }, { transactionCount: count, threshold, totalAmount }));
+            }
+        });
+
+        return violations;
+    }
+
+    // Largest aggregate over any window that ends at or after eventTime and still contains it, so an
+    // out-of-order event also completes bursts made of later-timestamped events
+    aggregateBusiestWindow(rule, events, eventTime, aggregate = VELOCITY_AGGREGATIONS[rule.aggregation]) {
+        const windowMs = rule.windowSeconds * 1000;
+
+        return events
+            .filter(anchor => anchor.timestamp >= eventTime && anchor.timestamp - eventTime < windowMs)
+            .reduce((busiest, anchor) => Math.max(
+                busiest,
+                aggregate(
+                    events.filter(event => event.timestamp <= anchor.timestamp && anchor.timestamp - event.timestamp < windowMs),
+                    rule.field
+                )
+            ), 0);
+    }
+
+    // Evaluate every enabled condition rule against a single transaction
+    evaluate(context) {
+        return this.getRules('condition')
+            .filter(rule => this.evaluateCondition(rule.condition, context))
+            .map(rule => this.createViolation(rule, context));
+    }
+}
+
+RuleEngine.OPERATORS = Object.keys(OPERATORS);
+RuleEngine.VELOCITY_AGGREGATIONS = Object.keys(VELOCITY_AGGREGATIONS);
+RuleEngine.DECISIONS = DECISIONS;
+RuleEngine.SEVERITIES = SEVERITIES;
+RuleEngine.validateRuleSet = validateRuleSet;
+RuleEngine.formatDescription = formatDescription;
+
+module.exports = RuleEngine;
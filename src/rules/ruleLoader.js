@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const RuleEngine = require('./ruleEngine');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '../../config/rules.json');
+
+const getRulesPath = () => process.env.RULES_PATH || DEFAULT_RULES_PATH;
+
+// Parse a JSON or YAML rule file (YAML is a superset of JSON, so one parser handles both)
+const parseRuleSet = (content, source = 'rule set') => {
+    try {
+        return yaml.load(content);
+    } catch (error) {
+        throw new Error(`Failed to parse ${source}: ${error.message}`);
+    }
+};
+
+const loadRuleSet = (filePath = getRulesPath()) => {
+    const content = fs.readFileSync(filePath, 'utf8');
+    return RuleEngine.validateRuleSet(parseRuleSet(content, filePath));
+};
+
+const createRuleEngine = (filePath = getRulesPath()) => new RuleEngine(loadRuleSet(filePath));
+
+module.exports = {
+    DEFAULT_RULES_PATH,
+    getRulesPath,
+    parseRuleSet,
+    loadRuleSet,
+    createRuleEngine
+};
@@ -0,0 +1,188 @@
+const RuleEngine = require('./ruleEngine');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+
+// Keeps every uploaded rule set version and swaps the active one without a restart. With a store,
+// versions and the active pointer are persisted and restored by load()
+class RuleSetManager {
+    constructor(initialRuleSet, store = null) {
+        this.store = store;
+        this.versions = new Map();
+        this.activeVersion = null;
+        this.activationHistory = [];
+
+        // The rule file is usable before load(); load() persists it or replaces it with the stored state
+        if (initialRuleSet) {
+            const { version } = this.addVersion(initialRuleSet, 'file');
+            this.setActive(version);
+        }
+    }
+
+    // Restore stored versions and the active one. Versions only known in memory (the rule file on first
+    // start, or a new version in the rule file) are stored too; the file's version is activated only when
+    // no version was active before
+    async load() {
+        const stored = await this.store.getRuleSets();
+        const activation = await this.store.getRuleSetActivation();
+
+        const unsaved = [...this.versions.values()].filter(entry => !stored.some(saved => saved.version === entry.version));
+        this.versions = new Map(stored.map(saved => [saved.version, {
+            ...saved,
+            engine: new RuleEngine(saved.ruleSet)
+        }]));
+        for (const entry of unsaved) {
+            this.versions.set(entry.version, entry);
+            await this.store.saveRuleSet(RuleSetManager.toDocument(entry));
+        }
+
+        if (activation && this.versions.has(activation.activeVersion)) {
+            this.activeVersion = activation.activeVersion;
+            this.activationHistory = activation.history.filter(version => this.versions.has(version));
+        } else {
+            await this.saveActivation();
+        }
+
+        logger.info('Rule sets loaded', { count: this.versions.size, activeVersion: this.activeVersion });
+    }
+
+    nextVersion() {
+        const numericVersions = [...this.versions.keys()]
+            .map(version => parseInt(version, 10))
+            .filter(version => !isNaN(version));
+        return String(Math.max(0, ...numericVersions) + 1);
+    }
+
+    async upload(ruleSet, { source = 'api' } = {}) {
+        const { version } = this.addVersion(ruleSet, source);
+        await this.saveVersion(version);
+        return this.describe(version);
+    }
+
+    addVersion(ruleSet, source) {
+        let engine;
+        try {
+            const version = ruleSet && ruleSet.version !== undefined ? ruleSet.version : this.nextVersion();
+            engine = new RuleEngine({ ...ruleSet, version });
+        } catch (error) {
+            throw new AppError(`Invalid rule set: ${error.message}`, 400);
+        }
+
+        if (this.versions.has(engine.version)) {
+            throw new AppError(`Rule set version ${engine.version} already exists`, 409);
+        }
+
+        this.versions.set(engine.version, {
+            version: engine.version,
+            engine,
+            source,
+            uploadedAt: new Date().toISOString()
+        });
+
+        logger.info('Rule set uploaded', {
+            version: engine.version,
+            ruleCount: engine.ruleSet.rules.length,
+            source
+        });
+
+        return this.describe(engine.version);
+    }
+
+    async activate(version) {
+        const activated = this.setActive(version);
+        await this.saveVersion(activated.version);
+        await this.saveActivation();
+        return this.describe(activated.version);
+    }
+
+    setActive(version) {
+        const entry = this.versions.get(String(version));
+        if (!entry) {
+            throw new AppError(`Rule set version ${version} not found`, 404);
+        }
+
+        if (this.activeVersion !== entry.version) {
+            if (this.activeVersion !== null) {
+                this.activationHistory.push(this.activeVersion);
+            }
+            this.activeVersion = entry.version;
+            entry.activatedAt = new Date().toISOString();
+
+            logger.info('Rule set activated', { version: entry.version });
+        }
+
+        return this.describe(entry.version);
+    }
+
+    async rollback() {
+        const previousVersion = this.activationHistory.pop();
+        if (previousVersion === undefined) {
+            throw new AppError('No previous rule set version to roll back to', 409);
+        }
+
+        const rolledBackFrom = this.activeVersion;
+        this.activeVersion = previousVersion;
+        this.versions.get(previousVersion).activatedAt = new Date().toISOString();
+
+        logger.warn('Rule set rolled back', { from: rolledBackFrom, to: previousVersion });
+
+        await this.saveVersion(previousVersion);
+        await this.saveActivation();
+        return this.describe(previousVersion);
+    }
+
+    async saveVersion(version) {
+        if (this.store) {
+            await this.store.saveRuleSet(RuleSetManager.toDocument(this.versions.get(version)));
+        }
+    }
+
+    async saveActivation() {
+        if (this.store) {
+            await this.store.saveRuleSetActivation({ activeVersion: this.activeVersion, history: this.activationHistory });
+        }
+    }
+
+    getActiveEngine() {
+        return this.versions.get(this.activeVersion).engine;
+    }
+
+    get(version) {
+        const entry = this.versions.get(String(version));
+        if (!entry) {
+            throw new AppError(`Rule set version ${version} not found`, 404);
+        }
+
+        return {
+            ...this.describe(entry.version),
+            ruleSet: entry.engine.ruleSet
+        };
+    }
+
+    list() {
+        return [...this.versions.keys()].map(version => this.describe(version));
+    }
+
+    describe(version) {
+        const entry = this.versions.get(version);
+        return {
+            version: entry.version,
+            active: entry.version === this.activeVersion,
+            ruleCount: entry.engine.ruleSet.rules.length,
+            rules: entry.engine.ruleSet.rules.map(rule => rule.name),
+            source: entry.source,
+            uploadedAt: entry.uploadedAt,
+            activatedAt: entry.activatedAt || null
+        };
+    }
+}
+
+// The stored form of a version; the engine is rebuilt from ruleSet on load
+RuleSetManager.toDocument = ({ version, source, uploadedAt, activatedAt, engine }) => ({
+    version,
+    source,
+    uploadedAt,
+    activatedAt: activatedAt || null,
+    ruleSet: engine.ruleSet
+});
+
+module.exports = RuleSetManager;
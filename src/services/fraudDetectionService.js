@@ -1,40 +1,299 @@
+const EventEmitter = require('events');
 const Transaction = require('../models/transaction');
+const UserProfile = require('../models/userProfile');
 const logger = require('../utils/logger');
 const metrics = require('../utils/metrics');
 const NodeCache = require('node-cache');
+const RuleSetManager = require('../rules/ruleSetManager');
+const ListManager = require('../lists/listManager');
+const CaseManager = require('../cases/caseManager');
+const ChargebackProcessor = require('../feedback/chargebackProcessor');
+const WebhookManager = require('../webhooks/webhookManager');
+const IncidentManager = require('../incidents/incidentManager');
+const FxRateTable = require('../fx/fxRateTable');
+const { loadRuleSet } = require('../rules/ruleLoader');
+const { createFraudStore } = require('../storage');
+const { resolveCoordinates } = require('../geo');
+const { AppError } = require('../utils/errors');
+
+// Insert an event into a user's event-time ordered events; events mostly arrive in order, so the
+// position is searched from the end instead of re-sorting the whole history
+const insertByEventTime = (events, event) => {
+    let index = events.length;
+    while (index > 0 && events[index - 1].timestamp > event.timestamp) {
+        index -= 1;
+    }
+    events.splice(index, 0, event);
+    return events;
+};
+
+// Emits "decision" with each non-dry-run processTransaction result
+class FraudDetectionService extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.store = options.store || createFraudStore();
+        this.ruleSetManager = options.ruleSetManager || new RuleSetManager(
+            options.ruleEngine ? options.ruleEngine.ruleSet : loadRuleSet(options.rulesPath),
+            this.store
+        );
+
+        // How far behind a user's latest event time a transaction may arrive and still count towards velocity;
+        // 0 is valid and makes every out-of-order transaction late
+        const envLatenessSeconds = parseInt(process.env.VELOCITY_ALLOWED_LATENESS_SECONDS, 10);
+        this.allowedLatenessSeconds = options.allowedLatenessSeconds !== undefined
+            ? options.allowedLatenessSeconds
+            : (Number.isNaN(envLatenessSeconds) ? 60 : envLatenessSeconds);
+        this.lateEvents = 0;
+
+        // Cache for tracking recent transactions per user, kept for the longest velocity window plus the lateness
+        this.userTransactionCache = new NodeCache({
+            stdTTL: this.getVelocityRetentionSeconds() + this.allowedLatenessSeconds
+        });
+        // Structuring windows span days, so only each user's in-band transactions are kept for them
+        this.structuringCandidates = new NodeCache({
+            stdTTL: this.getStructuringRetentionSeconds() + this.allowedLatenessSeconds
+        });
+        this.lists = options.listManager || new ListManager(this.store);
+        this.cases = options.caseManager || new CaseManager(this.store);
+        this.chargebacks = new ChargebackProcessor(this.store, this.cases);
+        this.incidents = options.incidentManager || new IncidentManager(this.store, options.incidents);
+
+        // Push every flagged decision to the matching webhooks; deliveries retry in the background
+        this.webhooks = options.webhookManager || new WebhookManager(this.store, options.webhooks);
+        this.on('decision', result => this.webhooks.dispatch(result));
+        this.fxRates = options.fxRates || FxRateTable.load(options.fxRatesPath);
+
+        // Behavioral baselines keyed by userId; idle profiles expire after the retention
+        this.userProfiles = new NodeCache({
+            stdTTL: options.profileRetentionSeconds
+                || parseInt(process.env.USER_PROFILE_RETENTION_SECONDS, 10) || 30 * 86400,
+            useClones: false
+        });
+
+        // Decisions already made, so redeliveries replay instead of re-evaluating. The fraud store is the
+        // record shared across instances and restarts; this capped cache of { decision, ruleSetVersion }
+        // keyed by transactionId saves a lookup for recent ones
+        this.dedupRetentionSeconds = options.dedupRetentionSeconds
+            || parseInt(process.env.DEDUP_RETENTION_SECONDS, 10) || 86400;
+        this.processedTransactions = new NodeCache({
+            stdTTL: this.dedupRetentionSeconds,
+            maxKeys: options.dedupCacheSize || parseInt(process.env.DEDUP_CACHE_SIZE, 10) || 10000,
+            useClones: false
+        });
+        this.inFlightTransactions = new Map();
+        this.lastDedupPrune = 0;
+
+        // Recent hits of shadow rules, keyed by rule name
+        this.shadowHits = new Map();
+        this.shadowHitsLimit = options.shadowHitsLimit
+            || parseInt(process.env.SHADOW_HITS_LIMIT, 10) || 1000;
+    }
 
-class FraudDetectionService {
-    constructor() {
-        // Cache for tracking recent transactions per user (10 second window)
-        this.userTransactionCache = new NodeCache({ stdTTL: 10 });
-        this.fraudulentTransactions = [];
+    async initialize() {
+        await this.store.initialize();
+        await this.ruleSetManager.load();
+        await this.pruneProcessedTransactions();
+        await this.lists.load();
+        await this.webhooks.load();
+        // Publish the rule feedback and recall gauges for cases labelled before this start
+        await this.cases.getRuleStats();
+        await this.chargebacks.getRecall();
+        logger.info('Fraud detection service initialized', { store: this.store.constructor.name });
     }
 
-    async processTransaction(transactionData) {
+    async close() {
+        await this.store.close();
+    }
+
+    // The engine for the currently active rule set version
+    get ruleEngine() {
+        return this.ruleSetManager.getActiveEngine();
+    }
+
+    getVelocityRetentionSeconds(ruleEngine = this.ruleEngine) {
+        const windows = ruleEngine.getWindowedRules()
+            .filter(rule => rule.type !== 'structuring')
+            .map(rule => rule.windowSeconds);
+        return Math.max(10, ...windows);
+    }
+
+    getStructuringRetentionSeconds(ruleEngine = this.ruleEngine) {
+        return Math.max(0, ...ruleEngine.getRules('structuring').map(rule => rule.windowSeconds));
+    }
+
+    // Process a transaction once per transactionId; repeats within the retention return the original decision
+    async processTransaction(transactionData, options = {}) {
+        const transactionId = transactionData && transactionData.transactionId;
+
+        // Dry runs and payloads without an id are never deduplicated
+        if (options.dryRun || !transactionId) {
+            return this.evaluateTransaction(transactionData, options);
+        }
+
+        const key = String(transactionId);
+
+        // Wait for a concurrent evaluation of the same transaction (e.g. the retry and batch paths racing)
+        let inFlight;
+        while ((inFlight = this.inFlightTransactions.get(key))) {
+            await inFlight.catch(() => {});
+        }
+
+        const processing = this.processOnce(key, transactionData, options);
+        this.inFlightTransactions.set(key, processing);
+
+        try {
+            return await processing;
+        } finally {
+            this.inFlightTransactions.delete(key);
+        }
+    }
+
+    // Replay the recorded decision, or evaluate the transaction and record its decision
+    async processOnce(key, transactionData, options) {
+        const processed = await this.getProcessedTransaction(key);
+        if (processed) {
+            metrics.recordDuplicateTransaction();
+            logger.info('Duplicate transaction skipped', {
+                transactionId: key,
+                userId: transactionData.userId,
+                decision: processed.decision
+            });
+            return this.replayDecision(transactionData, processed);
+        }
+
+        const outcome = await this.evaluateTransaction(transactionData, options);
+        await this.recordProcessedTransaction(key, outcome);
+        return outcome;
+    }
+
+    // The decision recorded for a transaction within the dedup retention, from the cache or the fraud store
+    async getProcessedTransaction(key) {
+        const cached = this.processedTransactions.get(key);
+        if (cached) {
+            return cached;
+        }
+
+        const stored = await this.store.getProcessedTransaction(key);
+        if (!stored || Date.now() - new Date(stored.processedAt).getTime() >= this.dedupRetentionSeconds * 1000) {
+            return null;
+        }
+
+        const processed = { decision: stored.decision, ruleSetVersion: stored.ruleSetVersion };
+        this.cacheProcessedTransaction(key, processed);
+        return processed;
+    }
+
+    async recordProcessedTransaction(key, outcome) {
+        const processed = { decision: outcome.decision, ruleSetVersion: outcome.ruleSetVersion };
+        this.cacheProcessedTransaction(key, processed);
+
+        // The decision was already stored and published; failing to record it only weakens deduplication
+        try {
+            await this.store.saveProcessedTransaction({ transactionId: key, ...processed, processedAt: new Date().toISOString() });
+            if (Date.now() - this.lastDedupPrune >= 3600 * 1000) {
+                await this.pruneProcessedTransactions();
+            }
+        } catch (error) {
+            logger.error('Failed to record processed transaction', { transactionId: key, error: error.message });
+        }
+    }
+
+    cacheProcessedTransaction(key, processed) {
+        // A full cache (maxKeys) refuses new keys until old ones expire; the fraud store still has them
+        try {
+            this.processedTransactions.set(key, processed);
+        } catch (error) {
+            logger.debug('Dedup cache full', { transactionId: key });
+        }
+    }
+
+    // Drop processed transactions older than the dedup retention from the fraud store
+    async pruneProcessedTransactions() {
+        this.lastDedupPrune = Date.now();
+        const before = new Date(this.lastDedupPrune - this.dedupRetentionSeconds * 1000).toISOString();
+        const removed = await this.store.deleteProcessedTransactions(before);
+        if (removed > 0) {
+            logger.info('Pruned processed transactions', { removed, before });
+        }
+    }
+
+    // Rebuild a redelivered transaction's result: flagged transactions from their fraud record,
+    // clean ones from the recorded decision alone
+    async replayDecision(transactionData, processed) {
+        const records = await this.store.getAll({ transactionId: transactionData.transactionId });
+        const record = records[records.length - 1];
+
+        return {
+            isSuspicious: Boolean(record),
+            violations: record ? record.violations : [],
+            riskScore: record ? record.riskScore : 0,
+            decision: processed.decision,
+            ruleSetVersion: processed.ruleSetVersion,
+            transaction: record || { transactionId: transactionData.transactionId, userId: transactionData.userId },
+            duplicate: true
+        };
+    }
+
+    // Evaluate a transaction; with dryRun the velocity cache, fraud store, shadow hits and metrics are left untouched
+    async evaluateTransaction(transactionData, options = {}) {
+        const { dryRun = false } = options;
         const startTime = Date.now();
         try {
             // Validate transaction data
-            Transaction.validate(transactionData);
+            Transaction.validate(transactionData, { dryRun });
 
-            const transaction = new Transaction(transactionData);
+            const transaction = new Transaction(transactionData).normalizeAmount(this.fxRates);
+            // Dry runs leave every counter untouched, so what-if evaluations never show up in the metrics
+            if (transaction.fxUnavailable && !dryRun) {
+                metrics.recordFxUnavailable(transaction.currency);
+            }
+
+            // Pin the rule set for this evaluation so an activation mid-flight cannot mix versions
+            const ruleEngine = this.ruleEngine;
+            const ruleSetVersion = ruleEngine.version;
 
             logger.info('Processing transaction', {
                 transactionId: transaction.transactionId,
                 userId: transaction.userId,
                 amount: transaction.amount,
-                location: transaction.location
+                location: transaction.location,
+                dryRun
             });
 
-            const fraudViolations = [];
+            // Allow, block and watch list entries that apply to this transaction
+            const listMatches = this.lists.match(transaction.toJSON());
+
+            let ruleHits = [];
 
             // Check individual transaction rules
-            const individualViolations = transaction.checkFraudRules();
-            fraudViolations.push(...individualViolations);
+            const individualViolations = transaction.checkFraudRules(ruleEngine);
+            ruleHits.push(...individualViolations);
+
+            // Check velocity rules (too many transactions from the same user within a window)
+            const velocityViolations = this.checkVelocityRules(transaction, ruleEngine, { dryRun });
+            ruleHits.push(...velocityViolations);
 
-            // Check for rapid transactions (multiple transactions from same user in < 10 seconds)
-            const rapidTransactionViolation = this.checkRapidTransactions(transaction);
-            if (rapidTransactionViolation) {
-                fraudViolations.push(rapidTransactionViolation);
+            // Check anomaly rules against the user's baseline, then fold this transaction into it
+            ruleHits.push(...ruleEngine.evaluateAnomaly(this.userProfiles.get(transaction.userId), transaction.toRuleContext()));
+            if (!dryRun) {
+                this.updateUserProfile(transaction);
+            }
+
+            // Allowlisted entities skip rules; blocklisted and watchlisted ones always flag
+            ruleHits = this.lists.apply(listMatches, ruleHits, { dryRun });
+
+            // Shadow rule hits are recorded separately and never make a transaction suspicious
+            const fraudViolations = ruleHits.filter(violation => !violation.shadow);
+            const shadowViolations = ruleHits.filter(violation => violation.shadow);
+            if (!dryRun) {
+                this.recordShadowHits(ruleEngine, transaction, shadowViolations, fraudViolations.length > 0);
+            }
+
+            // Weight the live violations into a risk score and a decision
+            const { riskScore, decision } = ruleEngine.score(fraudViolations);
+            if (!dryRun) {
+                metrics.recordDecision(decision);
             }
 
             // Calculate processing duration
@@ -46,42 +305,83 @@ class FraudDetectionService {
                 const fraudRecord = {
                     ...transaction.toJSON(),
                     violations: fraudViolations,
-                    isSuspicious: true
+                    isSuspicious: true,
+                    riskScore,
+                    decision,
+                    ruleSetVersion
                 };
 
-                this.fraudulentTransactions.push(fraudRecord);
+                // Repeated hits of a rule by the same user roll into one incident and notify once per window
+                let incidents = [];
+                let suppressed = false;
+                if (!dryRun) {
+                    ({ incidents, suppressed } = await this.incidents.record(fraudRecord, fraudViolations));
+                    fraudRecord.incidentIds = incidents.map(incident => incident.id);
+
+                    Object.assign(fraudRecord, await this.store.saveFraudRecord(fraudRecord));
+                    // Every stored fraud record opens a review case with the same id
+                    await this.cases.open(fraudRecord);
+                }
 
-                logger.warn('Fraud detected', {
+                const detection = {
                     transactionId: transaction.transactionId,
                     userId: transaction.userId,
                     violations: fraudViolations.map(v => v.rule),
+                    riskScore,
+                    decision,
+                    ruleSetVersion,
                     amount: transaction.amount,
-                    location: transaction.location
-                });
+                    location: transaction.location,
+                    dryRun
+                };
+                if (suppressed) {
+                    logger.info('Fraud detected, alert suppressed by open incidents', {
+                        ...detection,
+                        incidents: incidents.map(incident => ({ id: incident.id, rule: incident.rule, count: incident.count }))
+                    });
+                } else {
+                    logger.warn('Fraud detected', detection);
+                }
 
                 // Record metrics for suspicious transaction
-                metrics.recordFraudDetection(result, fraudViolations, duration);
+                if (!dryRun) {
+                    metrics.recordFraudDetection(result, fraudViolations, duration);
+                }
 
-                return {
+                return this.emitDecision({
                     isSuspicious: true,
                     violations: fraudViolations,
+                    riskScore,
+                    decision,
+                    ruleSetVersion,
+                    dryRun,
+                    suppressed,
+                    incidents,
                     transaction: fraudRecord
-                };
+                });
             }
 
             // Record metrics for clean transaction
-            metrics.recordFraudDetection(result, fraudViolations, duration);
+            if (!dryRun) {
+                metrics.recordFraudDetection(result, fraudViolations, duration);
+            }
 
-            return {
+            return this.emitDecision({
                 isSuspicious: false,
                 violations: [],
+                riskScore,
+                decision,
+                ruleSetVersion,
+                dryRun,
                 transaction: transaction.toJSON()
-            };
+            });
 
         } catch (error) {
             // Record metrics for failed processing
             const duration = (Date.now() - startTime) / 1000;
-            metrics.recordFraudDetection('failed', [], duration);
+            if (!dryRun) {
+                metrics.recordFraudDetection('failed', [], duration);
+            }
             
             logger.error('Error processing transaction', {
                 error: error.message,
@@ -91,63 +391,163 @@ class FraudDetectionService {
         }
     }
 
-    checkRapidTransactions(transaction) {
+    // Notify "decision" listeners (e.g. the alert publisher); dry runs stay silent
+    emitDecision(outcome) {
+        if (!outcome.dryRun) {
+            this.emit('decision', outcome);
+        }
+        return outcome;
+    }
+
+    // Velocity windows run on the transactions' own timestamps (event time), not on arrival time
+    checkVelocityRules(transaction, ruleEngine = this.ruleEngine, { dryRun = false } = {}) {
+        if (ruleEngine.getWindowedRules().length === 0) {
+            return [];
+        }
+
         const userKey = `user_${transaction.userId}`;
-        const now = Date.now();
+        const eventTime = transaction.timestamp.getTime();
+        const latenessMs = this.allowedLatenessSeconds * 1000;
+        const retentionSeconds = this.getVelocityRetentionSeconds(ruleEngine);
+
+        const state = this.userTransactionCache.get(userKey) || { watermark: eventTime, events: [] };
+
+        // Events older than the user's latest event time minus the allowed lateness have already been
+        // judged without them; they skip velocity rules and are counted instead of being flagged late
+        if (eventTime < state.watermark - latenessMs) {
+            if (!dryRun) {
+                this.lateEvents += 1;
+                metrics.recordLateEvent();
+            }
 
-        // Get existing transactions for this user
-        let userTransactions = this.userTransactionCache.get(userKey) || [];
+            logger.warn('Late transaction skipped velocity rules', {
+                transactionId: transaction.transactionId,
+                userId: transaction.userId,
+                timestamp: transaction.timestamp.toISOString(),
+                watermark: new Date(state.watermark).toISOString(),
+                allowedLatenessSeconds: this.allowedLatenessSeconds,
+                dryRun
+            });
+            return [];
+        }
 
-        // Filter out transactions older than 10 seconds
-        userTransactions = userTransactions.filter(t => (now - t.timestamp) < 10000);
+        const watermark = Math.max(state.watermark, eventTime);
 
-        // Add current transaction
-        userTransactions.push({
+        // Keep only events that can still share a window with an on-time event
+        const horizon = watermark - latenessMs - retentionSeconds * 1000;
+        const event = {
             transactionId: transaction.transactionId,
-            timestamp: now
+            timestamp: eventTime,
+            location: transaction.location,
+            coordinates: resolveCoordinates(transaction),
+            fields: ruleEngine.extractVelocityFields(transaction.toRuleContext())
+        };
+        const events = insertByEventTime(state.events.filter(t => t.timestamp > horizon), event);
+
+        // Structuring only counts in-band transactions, so the rest never enter its multi-day window
+        const structuringRetentionSeconds = this.getStructuringRetentionSeconds(ruleEngine);
+        const structuringHorizon = watermark - latenessMs - structuringRetentionSeconds * 1000;
+        let candidates = (this.structuringCandidates.get(userKey) || []).filter(t => t.timestamp > structuringHorizon);
+        if (ruleEngine.isStructuringCandidate(event.fields)) {
+            candidates = insertByEventTime(candidates, event);
+        }
+
+        // Update cache (a dry run evaluates as if the transaction happened, without recording it)
+        if (!dryRun) {
+            this.userTransactionCache.set(
+                userKey,
+                { watermark, events },
+                retentionSeconds + this.allowedLatenessSeconds
+            );
+            if (candidates.length > 0) {
+                this.structuringCandidates.set(userKey, candidates, structuringRetentionSeconds + this.allowedLatenessSeconds);
+            } else {
+                this.structuringCandidates.del(userKey);
+            }
+        }
+
+        return [
+            ...ruleEngine.evaluateVelocity(events, eventTime),
+            ...ruleEngine.evaluateGeoVelocity(events, event),
+            ...ruleEngine.evaluateStructuring(candidates, event)
+        ];
+    }
+
+    recordShadowHits(ruleEngine, transaction, shadowViolations, isSuspicious) {
+        const liveResult = isSuspicious ? 'suspicious' : 'clean';
+
+        ruleEngine.getShadowRules().forEach(rule => metrics.recordShadowRuleEvaluation(rule.name));
+
+        shadowViolations.forEach(({ shadow, ...violation }) => {
+            const hits = this.shadowHits.get(violation.rule) || { total: 0, recent: [] };
+
+            hits.total += 1;
+            hits.recent.push({
+                ...transaction.toJSON(),
+                violation,
+                liveResult,
+                ruleSetVersion: ruleEngine.version
+            });
+
+            // Keep only the most recent hits per rule; the counters hold the totals
+            if (hits.recent.length > this.shadowHitsLimit) {
+                hits.recent.shift();
+            }
+
+            this.shadowHits.set(violation.rule, hits);
+            metrics.recordShadowRuleHit(violation.rule, liveResult);
+
+            logger.info('Shadow rule hit', {
+                transactionId: transaction.transactionId,
+                userId: transaction.userId,
+                rule: violation.rule,
+                liveResult
+            });
         });
+    }
 
-        // Update cache
-        this.userTransactionCache.set(userKey, userTransactions);
+    updateUserProfile(transaction) {
+        const profile = this.userProfiles.get(transaction.userId) || new UserProfile(transaction.userId);
+        profile.update(transaction.toRuleContext());
+        this.userProfiles.set(transaction.userId, profile);
+    }
 
-        // If more than 1 transaction in 10 seconds, flag as suspicious
-        if (userTransactions.length > 1) {
-            return {
-                rule: 'RAPID_TRANSACTIONS',
-                description: `Multiple transactions from same user in < 10 seconds (${userTransactions.length} transactions)`,
-                severity: 'HIGH',
-                transactionCount: userTransactions.length
-            };
+    getUserProfile(userId) {
+        const profile = this.userProfiles.get(userId);
+        if (!profile) {
+            throw new AppError(`No profile for user ${userId}`, 404);
         }
+        return profile.toJSON();
+    }
 
-        return null;
+    getShadowHits(rule) {
+        const hits = this.shadowHits.get(rule) || { total: 0, recent: [] };
+        return {
+            rule,
+            totalHits: hits.total,
+            hits: [...hits.recent].reverse()
+        };
     }
 
-    getAllFraudulentTransactions() {
-        return this.fraudulentTransactions;
+    async getAllFraudulentTransactions(filters = {}) {
+        return this.store.getAll(filters);
     }
 
-    getFraudulentTransactionsByUserId(userId) {
-        return this.fraudulentTransactions.filter(
-            transaction => transaction.userId === userId
-        );
+    // Filtered, sorted and cursor-paginated fraud records: { data, nextCursor }
+    async queryFraudulentTransactions(criteria = {}) {
+        return this.store.query(criteria);
     }
 
-    getFraudulentTransactionsByRule(rule) {
-        return this.fraudulentTransactions.filter(
-            transaction => transaction.violations.some(v => v.rule === rule)
-        );
+    async getFraudulentTransactionsByUserId(userId) {
+        return this.store.getByUserId(userId);
     }
 
-    getStats() {
-        const totalFrauds = this.fraudulentTransactions.length;
-        const ruleStats = {};
+    async getFraudulentTransactionsByRule(rule) {
+        return this.store.getByRule(rule);
+    }
 
-        this.fraudulentTransactions.forEach(transaction => {
-            transaction.violations.forEach(violation => {
-                ruleStats[violation.rule] = (ruleStats[violation.rule] || 0) + 1;
-            });
-        });
+    async getStats() {
+        const { total, ruleBreakdown } = await this.store.getRuleStats();
 
         // Calculate cache hit ratio
         const cacheStats = this.userTransactionCache.getStats();
@@ -155,15 +555,76 @@ class FraudDetectionService {
         metrics.updateCacheHitRatio(hitRatio);
 
         return {
-            totalFraudulentTransactions: totalFrauds,
-            ruleBreakdown: ruleStats,
+            totalFraudulentTransactions: total,
+            ruleBreakdown,
+            rulePrecision: await this.cases.getRuleStats(),
+            recall: await this.getRecall(),
             cacheStats: cacheStats,
-            cacheHitRatio: hitRatio
+            cacheHitRatio: hitRatio,
+            lateEvents: this.lateEvents
         };
     }
 
+    getFxRates() {
+        return this.fxRates;
+    }
+
+    // Swap in a new FX rate table, given inline or re-read from FX_RATES_PATH; evaluations in flight keep the old one
+    refreshFxRates(table) {
+        let fxRates;
+        try {
+            fxRates = table ? new FxRateTable(table, { source: 'api' }) : FxRateTable.load();
+        } catch (error) {
+            throw new AppError(`Invalid FX rate table: ${error.message}`, 400);
+        }
+
+        this.fxRates = fxRates;
+        logger.info('FX rates refreshed', {
+            source: fxRates.source,
+            baseCurrency: fxRates.baseCurrency,
+            asOf: fxRates.asOf
+        });
+
+        return fxRates.describe();
+    }
+
+    getListManager() {
+        return this.lists;
+    }
+
+    getCaseManager() {
+        return this.cases;
+    }
+
+    getWebhookManager() {
+        return this.webhooks;
+    }
+
+    getIncidentManager() {
+        return this.incidents;
+    }
+
+    // Label the case of a flagged transaction as confirmed fraud, or record a miss when no rule flagged it
+    async processChargeback(event) {
+        return this.chargebacks.process(event, this.fxRates);
+    }
+
+    async getMisses() {
+        return this.chargebacks.getMisses();
+    }
+
+    async getRecall() {
+        return this.chargebacks.getRecall();
+    }
+
+    getRuleSetManager() {
+        return this.ruleSetManager;
+    }
+
+    // Structuring windows are per-user velocity state kept in their own cache, so they are cleared too
     clearCache() {
         this.userTransactionCache.flushAll();
+        this.structuringCandidates.flushAll();
     }
 }
 
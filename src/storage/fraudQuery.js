@@ -0,0 +1,85 @@
+const { AppError } = require('../utils/errors');
+
+// Sort keys accepted by fraud record queries, mapped to their SQLite columns; amounts sort in the base currency
+const SORT_COLUMNS = {
+    detectedAt: 'detected_at',
+    amount: 'normalized_amount'
+};
+const SORT_ORDERS = ['asc', 'desc'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Base-currency amount of a fraud record; records stored without FX normalization use their raw amount
+const baseAmount = record => (
+    record.normalizedAmount !== undefined && record.normalizedAmount !== null ? record.normalizedAmount : record.amount
+);
+
+// The value a record is sorted by, matching its SORT_COLUMNS column
+const sortValue = (record, sortBy) => (sortBy === 'amount' ? baseAmount(record) : record[sortBy]);
+
+// Cursors point just past the last record of a page: its sort value plus its id as a tie-breaker
+const encodeCursor = (record, sortBy, order) => {
+    const payload = { s: sortBy, o: order, v: sortValue(record, sortBy), id: record.id };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sortBy, order) => {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new AppError('Invalid cursor', 400);
+    }
+
+    if (!payload || typeof payload.id !== 'number' || payload.v === undefined) {
+        throw new AppError('Invalid cursor', 400);
+    }
+    if (payload.s !== sortBy || payload.o !== order) {
+        throw new AppError('Cursor was issued for a different sort order', 400);
+    }
+
+    return { value: payload.v, id: payload.id };
+};
+
+// Fill in sort and paging defaults so both stores interpret a query the same way
+const normalizeQuery = (query = {}) => {
+    const sortBy = query.sortBy || 'detectedAt';
+    const order = query.order || 'asc';
+
+    if (!SORT_COLUMNS[sortBy]) {
+        throw new AppError(`sortBy must be one of ${Object.keys(SORT_COLUMNS).join(', ')}`, 400);
+    }
+    if (!SORT_ORDERS.includes(order)) {
+        throw new AppError(`order must be one of ${SORT_ORDERS.join(', ')}`, 400);
+    }
+
+    return {
+        ...query,
+        sortBy,
+        order,
+        limit: Math.min(query.limit || DEFAULT_LIMIT, MAX_LIMIT),
+        after: query.cursor ? decodeCursor(query.cursor, sortBy, order) : null
+    };
+};
+
+// Split a page of limit + 1 rows into the page and the cursor for the next one
+const toPage = (records, query) => {
+    const hasMore = records.length > query.limit;
+    const data = hasMore ? records.slice(0, query.limit) : records;
+
+    return {
+        data,
+        nextCursor: hasMore ? encodeCursor(data[data.length - 1], query.sortBy, query.order) : null
+    };
+};
+
+module.exports = {
+    SORT_COLUMNS,
+    SORT_ORDERS,
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    baseAmount,
+    sortValue,
+    normalizeQuery,
+    toPage
+};
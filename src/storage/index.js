@@ -0,0 +1,23 @@
+const MemoryFraudStore = require('./memoryFraudStore');
+const SqliteFraudStore = require('./sqliteFraudStore');
+
+// Pick the fraud store from FRAUD_STORE ("sqlite" or "memory"); tests default to memory
+const createFraudStore = (options = {}) => {
+    const type = options.type || process.env.FRAUD_STORE
+        || (process.env.NODE_ENV === 'test' ? 'memory' : 'sqlite');
+
+    switch (type) {
+        case 'memory':
+            return new MemoryFraudStore();
+        case 'sqlite':
+            return new SqliteFraudStore(options);
+        default:
+            throw new Error(`Unknown fraud store type: ${type}`);
+    }
+};
+
+module.exports = {
+    createFraudStore,
+    MemoryFraudStore,
+    SqliteFraudStore
+};
@@ -0,0 +1,310 @@
+const { baseAmount, sortValue, normalizeQuery, toPage } = require('./fraudQuery');
+
+// Deep copy for documents with nested arrays (case history, incident transaction ids), the same
+// JSON round trip the SQLite store makes
+const copy = value => JSON.parse(JSON.stringify(value));
+
+// In-memory fraud store; nothing survives a restart, so it is meant for tests and local runs
+class MemoryFraudStore {
+    constructor() {
+        this.records = [];
+        this.nextId = 1;
+        this.listEntries = new Map();
+        this.cases = new Map();
+        this.misses = new Map();
+        this.webhooks = new Map();
+        this.incidents = new Map();
+        this.processedTransactions = new Map();
+        this.ruleSets = new Map();
+        this.ruleSetActivation = null;
+        this.deadLetters = new Map();
+    }
+
+    async initialize() {
+        return this;
+    }
+
+    async saveFraudRecord(record) {
+        const stored = { ...record, id: this.nextId++ };
+        this.records.push(stored);
+        return stored;
+    }
+
+    async getAll(filters = {}) {
+        return this.records.filter(record => MemoryFraudStore.matchesFilters(record, filters));
+    }
+
+    async getByUserId(userId) {
+        return this.getAll({ userId });
+    }
+
+    async getByRule(rule) {
+        return this.getAll({ rule });
+    }
+
+    // Filter, sort and page fraud records; see fraudQuery.normalizeQuery for the accepted criteria
+    async query(criteria = {}) {
+        const query = normalizeQuery(criteria);
+        const direction = query.order === 'asc' ? 1 : -1;
+
+        // Positions are { value, id }, the shape of a decoded cursor
+        const position = record => ({ value: sortValue(record, query.sortBy), id: record.id });
+        const compare = (a, b) => {
+            if (a.value !== b.value) {
+                return (a.value < b.value ? -1 : 1) * direction;
+            }
+            return (a.id - b.id) * direction;
+        };
+
+        const records = this.records
+            .filter(record => MemoryFraudStore.matchesFilters(record, query))
+            .sort((a, b) => compare(position(a), position(b)))
+            .filter(record => !query.after || compare(position(record), query.after) > 0)
+            .slice(0, query.limit + 1);
+
+        return toPage(records, query);
+    }
+
+    async getRuleStats() {
+        const ruleBreakdown = {};
+
+        this.records.forEach(record => {
+            record.violations.forEach(violation => {
+                ruleBreakdown[violation.rule] = (ruleBreakdown[violation.rule] || 0) + 1;
+            });
+        });
+
+        return {
+            total: this.records.length,
+            ruleBreakdown
+        };
+    }
+
+    async getListEntries() {
+        return [...this.listEntries.values()];
+    }
+
+    async saveListEntry(entry) {
+        this.listEntries.set(entry.id, { ...entry });
+        return entry;
+    }
+
+    async deleteListEntry(id) {
+        return this.listEntries.delete(id);
+    }
+
+    async getCase(id) {
+        const fraudCase = this.cases.get(id);
+        return fraudCase ? copy(fraudCase) : null;
+    }
+
+    async getCases(filters = {}) {
+        return [...this.cases.values()]
+            .filter(fraudCase => (!filters.status || fraudCase.status === filters.status)
+                && (!filters.assignee || fraudCase.assignee === filters.assignee))
+            .sort((a, b) => a.id - b.id)
+            .map(fraudCase => copy(fraudCase));
+    }
+
+    async countCases(filters = {}) {
+        return [...this.cases.values()]
+            .filter(fraudCase => !filters.resolution || fraudCase.resolution === filters.resolution)
+            .length;
+    }
+
+    async getCaseRuleStats() {
+        const ruleStats = {};
+
+        this.cases.forEach(fraudCase => {
+            new Set(fraudCase.rules).forEach(rule => {
+                const stats = ruleStats[rule]
+                    || (ruleStats[rule] = { hits: 0, confirmedFraud: 0, falsePositive: 0, confirmedFraudAmount: 0 });
+
+                stats.hits += 1;
+                if (fraudCase.resolution === 'CONFIRMED_FRAUD') {
+                    stats.confirmedFraud += 1;
+                    stats.confirmedFraudAmount += fraudCase.amount || 0;
+                } else if (fraudCase.resolution === 'FALSE_POSITIVE') {
+                    stats.falsePositive += 1;
+                }
+            });
+        });
+
+        return ruleStats;
+    }
+
+    async saveCase(fraudCase) {
+        this.cases.set(fraudCase.id, copy(fraudCase));
+        return fraudCase;
+    }
+
+    async getMisses() {
+        return [...this.misses.values()].sort((a, b) => a.reportedAt.localeCompare(b.reportedAt));
+    }
+
+    async getMissTotals() {
+        const misses = [...this.misses.values()];
+        return {
+            count: misses.length,
+            amount: misses.reduce((sum, miss) => sum + (miss.normalizedAmount || 0), 0)
+        };
+    }
+
+    async saveMiss(miss) {
+        this.misses.set(miss.transactionId, { ...miss });
+        return miss;
+    }
+
+    async getWebhooks() {
+        return [...this.webhooks.values()];
+    }
+
+    async saveWebhook(webhook) {
+        this.webhooks.set(webhook.id, copy(webhook));
+        return webhook;
+    }
+
+    async deleteWebhook(id) {
+        return this.webhooks.delete(id);
+    }
+
+    async getIncident(id) {
+        const incident = this.incidents.get(id);
+        return incident ? copy(incident) : null;
+    }
+
+    async getIncidents(filters = {}) {
+        return [...this.incidents.values()]
+            .filter(incident => (!filters.userId || incident.userId === filters.userId)
+                && (!filters.rule || incident.rule === filters.rule))
+            .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen))
+            .slice(0, filters.limit)
+            .map(incident => copy(incident));
+    }
+
+    async saveIncident(incident) {
+        this.incidents.set(incident.id, copy(incident));
+        return incident;
+    }
+
+    async getProcessedTransaction(transactionId) {
+        const processed = this.processedTransactions.get(String(transactionId));
+        return processed ? { ...processed } : null;
+    }
+
+    async saveProcessedTransaction(processed) {
+        const key = String(processed.transactionId);
+        if (!this.processedTransactions.has(key)) {
+            this.processedTransactions.set(key, { ...processed, transactionId: key });
+        }
+        return processed;
+    }
+
+    async deleteProcessedTransactions(before) {
+        let removed = 0;
+        this.processedTransactions.forEach((processed, key) => {
+            if (processed.processedAt < before) {
+                this.processedTransactions.delete(key);
+                removed += 1;
+            }
+        });
+        return removed;
+    }
+
+    async getRuleSets() {
+        return [...this.ruleSets.values()].map(ruleSet => copy(ruleSet));
+    }
+
+    async saveRuleSet(ruleSet) {
+        this.ruleSets.set(ruleSet.version, copy(ruleSet));
+        return ruleSet;
+    }
+
+    async getRuleSetActivation() {
+        return this.ruleSetActivation ? copy(this.ruleSetActivation) : null;
+    }
+
+    async saveRuleSetActivation(activation) {
+        this.ruleSetActivation = copy(activation);
+        return activation;
+    }
+
+    async getDeadLetter(id) {
+        const entry = this.deadLetters.get(id);
+        return entry ? copy(entry) : null;
+    }
+
+    async getDeadLetters() {
+        return [...this.deadLetters.values()]
+            .reverse()
+            .sort((a, b) => b.failedAt.localeCompare(a.failedAt))
+            .map(entry => copy(entry));
+    }
+
+    async saveDeadLetter(entry, retained) {
+        this.deadLetters.set(entry.id, copy(entry));
+
+        if (retained !== undefined) {
+            [...this.deadLetters.values()]
+                .reverse()
+                .sort((a, b) => b.failedAt.localeCompare(a.failedAt))
+                .slice(retained)
+                .forEach(stale => this.deadLetters.delete(stale.id));
+        }
+        return entry;
+    }
+
+    async updateDeadLetter(entry, fromStatus) {
+        const stored = this.deadLetters.get(entry.id);
+        if (!stored || stored.status !== fromStatus) {
+            return false;
+        }
+        this.deadLetters.set(entry.id, copy(entry));
+        return true;
+    }
+
+    async close() {}
+
+    // Ids compare as strings: route params are strings while payloads may carry numeric ids
+    static matchesFilters(record, filters) {
+        if (filters.userId !== undefined && String(record.userId) !== String(filters.userId)) {
+            return false;
+        }
+        if (filters.transactionId !== undefined && String(record.transactionId) !== String(filters.transactionId)) {
+            return false;
+        }
+        if (filters.rule && !record.violations.some(v => v.rule === filters.rule)) {
+            return false;
+        }
+        if (filters.severity && !record.violations.some(v => v.severity === filters.severity)) {
+            return false;
+        }
+        if (filters.location && record.location.toLowerCase() !== filters.location.toLowerCase()) {
+            return false;
+        }
+        if (filters.from && record.detectedAt < filters.from) {
+            return false;
+        }
+        if (filters.to && record.detectedAt > filters.to) {
+            return false;
+        }
+        if (filters.minAmount !== undefined && baseAmount(record) < filters.minAmount) {
+            return false;
+        }
+        if (filters.maxAmount !== undefined && baseAmount(record) > filters.maxAmount) {
+            return false;
+        }
+        if (filters.decision && record.decision !== filters.decision) {
+            return false;
+        }
+        if (filters.minScore !== undefined && record.riskScore < filters.minScore) {
+            return false;
+        }
+        if (filters.maxScore !== undefined && record.riskScore > filters.maxScore) {
+            return false;
+        }
+        return true;
+    }
+}
+
+module.exports = MemoryFraudStore;
@@ -0,0 +1,191 @@
+// Schema migrations for the SQLite fraud store, applied in order and recorded in schema_migrations
+const migrations = [
+    {
+        version: 1,
+        name: 'create_fraud_records',
+        statements: [
+            `CREATE TABLE fraud_records (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                transaction_id TEXT NOT NULL,
+                user_id TEXT NOT NULL,
+                amount REAL NOT NULL,
+                location TEXT NOT NULL,
+                timestamp TEXT NOT NULL,
+                detected_at TEXT NOT NULL,
+                risk_score INTEGER,
+                decision TEXT,
+                rule_set_version TEXT,
+                record TEXT NOT NULL
+            )`,
+            'CREATE INDEX idx_fraud_records_user_id ON fraud_records (user_id)',
+            'CREATE INDEX idx_fraud_records_transaction_id ON fraud_records (transaction_id)',
+            `CREATE TABLE fraud_violations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                fraud_record_id INTEGER NOT NULL REFERENCES fraud_records (id) ON DELETE CASCADE,
+                rule TEXT NOT NULL,
+                severity TEXT NOT NULL,
+                description TEXT,
+                details TEXT
+            )`,
+            'CREATE INDEX idx_fraud_violations_rule ON fraud_violations (rule)',
+            'CREATE INDEX idx_fraud_violations_record ON fraud_violations (fraud_record_id)'
+        ]
+    },
+    {
+        version: 2,
+        name: 'create_list_entries',
+        statements: [
+            `CREATE TABLE list_entries (
+                id TEXT PRIMARY KEY,
+                list TEXT NOT NULL,
+                entity_type TEXT NOT NULL,
+                value TEXT NOT NULL,
+                expires_at TEXT,
+                entry TEXT NOT NULL
+            )`,
+            'CREATE INDEX idx_list_entries_value ON list_entries (entity_type, value)'
+        ]
+    },
+    {
+        version: 3,
+        name: 'create_cases',
+        statements: [
+            `CREATE TABLE cases (
+                id INTEGER PRIMARY KEY REFERENCES fraud_records (id) ON DELETE CASCADE,
+                status TEXT NOT NULL,
+                assignee TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL,
+                case_data TEXT NOT NULL
+            )`,
+            'CREATE INDEX idx_cases_status ON cases (status)',
+            'CREATE INDEX idx_cases_assignee ON cases (assignee)'
+        ]
+    },
+    {
+        version: 4,
+        name: 'create_fraud_misses',
+        statements: [
+            `CREATE TABLE fraud_misses (
+                transaction_id TEXT PRIMARY KEY,
+                user_id TEXT,
+                reported_at TEXT NOT NULL,
+                miss TEXT NOT NULL
+            )`
+        ]
+    },
+    {
+        version: 5,
+        name: 'create_webhooks',
+        statements: [
+            `CREATE TABLE webhooks (
+                id TEXT PRIMARY KEY,
+                webhook TEXT NOT NULL
+            )`
+        ]
+    },
+    {
+        version: 6,
+        name: 'create_incidents',
+        statements: [
+            `CREATE TABLE incidents (
+                id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                rule TEXT NOT NULL,
+                first_seen TEXT NOT NULL,
+                last_seen TEXT NOT NULL,
+                incident TEXT NOT NULL
+            )`,
+            'CREATE INDEX idx_incidents_user_rule ON incidents (user_id, rule)'
+        ]
+    },
+    {
+        // Fraud records stored before cases existed get an OPEN case, shaped like CaseManager.open builds them
+        version: 7,
+        name: 'backfill_cases',
+        statements: [
+            `INSERT INTO cases (id, status, assignee, created_at, updated_at, case_data)
+             SELECT r.id, 'OPEN', NULL, r.detected_at, r.detected_at, json_object(
+                'id', r.id,
+                'transactionId', json_extract(r.record, '$.transactionId'),
+                'userId', json_extract(r.record, '$.userId'),
+                'riskScore', r.risk_score,
+                'decision', r.decision,
+                'amount', COALESCE(json_extract(r.record, '$.normalizedAmount'), r.amount),
+                'rules', json((
+                    SELECT json_group_array(rule)
+                    FROM (SELECT rule FROM fraud_violations WHERE fraud_record_id = r.id ORDER BY id)
+                )),
+                'status', 'OPEN',
+                'resolution', NULL,
+                'assignee', NULL,
+                'notes', json_array(),
+                'history', json_array(json_object(
+                    'from', NULL,
+                    'to', 'OPEN',
+                    'actor', 'system',
+                    'reason', 'Backfilled for a fraud record stored before case management',
+                    'at', r.detected_at
+                )),
+                'createdAt', r.detected_at,
+                'updatedAt', r.detected_at
+             )
+             FROM fraud_records r
+             WHERE NOT EXISTS (SELECT 1 FROM cases c WHERE c.id = r.id)`
+        ]
+    },
+    {
+        version: 8,
+        name: 'create_processed_transactions',
+        statements: [
+            `CREATE TABLE processed_transactions (
+                transaction_id TEXT PRIMARY KEY,
+                decision TEXT NOT NULL,
+                rule_set_version TEXT,
+                processed_at TEXT NOT NULL
+            )`,
+            'CREATE INDEX idx_processed_transactions_processed_at ON processed_transactions (processed_at)'
+        ]
+    },
+    {
+        version: 9,
+        name: 'create_rule_sets',
+        statements: [
+            `CREATE TABLE rule_sets (
+                version TEXT PRIMARY KEY,
+                rule_set TEXT NOT NULL
+            )`,
+            // A single row: the active version and the versions a rollback returns to
+            `CREATE TABLE rule_set_activation (
+                id INTEGER PRIMARY KEY CHECK (id = 1),
+                active_version TEXT NOT NULL,
+                history TEXT NOT NULL
+            )`
+        ]
+    },
+    {
+        version: 10,
+        name: 'create_dead_letters',
+        statements: [
+            `CREATE TABLE dead_letters (
+                id TEXT PRIMARY KEY,
+                status TEXT NOT NULL,
+                failed_at TEXT NOT NULL,
+                entry TEXT NOT NULL
+            )`,
+            'CREATE INDEX idx_dead_letters_failed_at ON dead_letters (failed_at)'
+        ]
+    },
+    {
+        version: 11,
+        name: 'add_fraud_records_normalized_amount',
+        statements: [
+            // Base-currency amount, so amount filters and sorting compare records across currencies
+            'ALTER TABLE fraud_records ADD COLUMN normalized_amount REAL',
+            "UPDATE fraud_records SET normalized_amount = COALESCE(json_extract(record, '$.normalizedAmount'), amount)",
+            'CREATE INDEX idx_fraud_records_normalized_amount ON fraud_records (normalized_amount)'
+        ]
+    }
+];
+
+module.exports = migrations;
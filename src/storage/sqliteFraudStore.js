@@ -0,0 +1,665 @@
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const logger = require('../utils/logger');
+const migrations = require('./migrations');
+const { SORT_COLUMNS, baseAmount, normalizeQuery, toPage } = require('./fraudQuery');
+
+// Columns written for every fraud record; anything else on the record lives in the JSON "record" column
+const RECORD_COLUMNS = {
+    transactionId: 'transaction_id',
+    userId: 'user_id',
+    amount: 'amount',
+    normalizedAmount: 'normalized_amount',
+    location: 'location',
+    timestamp: 'timestamp',
+    detectedAt: 'detected_at',
+    riskScore: 'risk_score',
+    decision: 'decision',
+    ruleSetVersion: 'rule_set_version'
+};
+
+// Record ids bound per violation lookup; SQLite builds before 3.32 allow 999 parameters per statement
+const ID_CHUNK_SIZE = 500;
+
+class SqliteFraudStore {
+    constructor(options = {}) {
+        this.dbPath = options.dbPath || process.env.DB_PATH || './data/fraud.db';
+        this.db = null;
+        this.initPromise = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    // Open the database and apply pending migrations; safe to call more than once
+    initialize() {
+        if (!this.initPromise) {
+            this.initPromise = this.open().then(() => this.migrate()).then(() => this);
+        }
+        return this.initPromise;
+    }
+
+    open() {
+        if (this.dbPath !== ':memory:') {
+            fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+        }
+
+        return new Promise((resolve, reject) => {
+            this.db = new sqlite3.Database(this.dbPath, (error) => {
+                if (error) {
+                    logger.error('Failed to open fraud database', { dbPath: this.dbPath, error: error.message });
+                    return reject(error);
+                }
+                logger.info('Fraud database opened', { dbPath: this.dbPath });
+                resolve();
+            });
+        }).then(() => this.run('PRAGMA foreign_keys = ON'));
+    }
+
+    async migrate() {
+        await this.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )`);
+
+        const applied = new Set(
+            (await this.all('SELECT version FROM schema_migrations')).map(row => row.version)
+        );
+
+        for (const migration of migrations) {
+            if (applied.has(migration.version)) {
+                continue;
+            }
+
+            try {
+                await this.transaction(async () => {
+                    for (const statement of migration.statements) {
+                        await this.run(statement);
+                    }
+                    await this.run(
+                        'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+                        [migration.version, migration.name, new Date().toISOString()]
+                    );
+                });
+
+                logger.info('Applied fraud store migration', {
+                    version: migration.version,
+                    name: migration.name
+                });
+            } catch (error) {
+                logger.error('Fraud store migration failed', {
+                    version: migration.version,
+                    name: migration.name,
+                    error: error.message
+                });
+                throw error;
+            }
+        }
+    }
+
+    // Writes share one connection, so they run one at a time: a write issued while another caller's
+    // transaction is open would otherwise commit or roll back with it
+    enqueue(fn) {
+        const result = this.writeQueue.then(fn);
+        this.writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    // Run fn inside BEGIN/COMMIT; fn writes with run, as write would wait for the transaction itself
+    transaction(fn) {
+        return this.enqueue(async () => {
+            await this.run('BEGIN');
+            try {
+                const value = await fn();
+                await this.run('COMMIT');
+                return value;
+            } catch (error) {
+                await this.run('ROLLBACK');
+                throw error;
+            }
+        });
+    }
+
+    // A single write outside a transaction
+    write(sql, params = []) {
+        return this.enqueue(() => this.run(sql, params));
+    }
+
+    run(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function (error) {
+                if (error) {
+                    return reject(error);
+                }
+                resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (error, row) => (error ? reject(error) : resolve(row)));
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (error, rows) => (error ? reject(error) : resolve(rows)));
+        });
+    }
+
+    async saveFraudRecord(record) {
+        await this.initialize();
+
+        const { violations, ...fields } = record;
+        const columns = Object.values(RECORD_COLUMNS);
+        const columnValues = { ...fields, normalizedAmount: baseAmount(fields) };
+        const values = Object.keys(RECORD_COLUMNS).map(key => (columnValues[key] === undefined ? null : columnValues[key]));
+
+        return this.transaction(async () => {
+            const { lastID } = await this.run(
+                `INSERT INTO fraud_records (${columns.join(', ')}, record)
+                 VALUES (${columns.map(() => '?').join(', ')}, ?)`,
+                [...values, JSON.stringify(fields)]
+            );
+
+            for (const { rule, severity, description, ...details } of violations) {
+                await this.run(
+                    `INSERT INTO fraud_violations (fraud_record_id, rule, severity, description, details)
+                     VALUES (?, ?, ?, ?, ?)`,
+                    [lastID, rule, severity, description, JSON.stringify(details)]
+                );
+            }
+
+            return { ...record, id: lastID };
+        });
+    }
+
+    // Build a WHERE clause for the fraud record filters shared with the memory store
+    buildWhere(filters = {}) {
+        const clauses = [];
+        const params = [];
+        const add = (clause, value) => {
+            clauses.push(clause);
+            params.push(value);
+        };
+
+        if (filters.userId !== undefined) {
+            add('user_id = ?', filters.userId);
+        }
+        if (filters.transactionId !== undefined) {
+            add('transaction_id = ?', filters.transactionId);
+        }
+        if (filters.rule) {
+            add('id IN (SELECT fraud_record_id FROM fraud_violations WHERE rule = ?)', filters.rule);
+        }
+        if (filters.severity) {
+            add('id IN (SELECT fraud_record_id FROM fraud_violations WHERE severity = ?)', filters.severity);
+        }
+        if (filters.location) {
+            add('location = ? COLLATE NOCASE', filters.location);
+        }
+        if (filters.from) {
+            add('detected_at >= ?', filters.from);
+        }
+        if (filters.to) {
+            add('detected_at <= ?', filters.to);
+        }
+        if (filters.minAmount !== undefined) {
+            add('normalized_amount >= ?', filters.minAmount);
+        }
+        if (filters.maxAmount !== undefined) {
+            add('normalized_amount <= ?', filters.maxAmount);
+        }
+        if (filters.decision) {
+            add('decision = ?', filters.decision);
+        }
+        if (filters.minScore !== undefined) {
+            add('risk_score >= ?', filters.minScore);
+        }
+        if (filters.maxScore !== undefined) {
+            add('risk_score <= ?', filters.maxScore);
+        }
+
+        return {
+            where: clauses.length > 0 ? clauses.join(' AND ') : '1 = 1',
+            params
+        };
+    }
+
+    // Load fraud records matching a WHERE clause, with their violations
+    async findRecords(where = '1 = 1', params = [], { orderBy = 'id ASC', limit } = {}) {
+        await this.initialize();
+
+        const rows = await this.all(
+            `SELECT id, record FROM fraud_records WHERE ${where} ORDER BY ${orderBy}`
+                + (limit !== undefined ? ` LIMIT ${Number(limit)}` : ''),
+            params
+        );
+        if (rows.length === 0) {
+            return [];
+        }
+
+        // Look the violations up in chunks of ids, keeping under SQLite's bound parameter limit
+        const violationRows = [];
+        for (let start = 0; start < rows.length; start += ID_CHUNK_SIZE) {
+            const ids = rows.slice(start, start + ID_CHUNK_SIZE).map(row => row.id);
+            violationRows.push(...await this.all(
+                `SELECT fraud_record_id, rule, severity, description, details FROM fraud_violations
+                 WHERE fraud_record_id IN (${ids.map(() => '?').join(', ')})
+                 ORDER BY id ASC`,
+                ids
+            ));
+        }
+
+        const violationsByRecord = new Map();
+        violationRows.forEach(row => {
+            const violations = violationsByRecord.get(row.fraud_record_id) || [];
+            violations.push({
+                rule: row.rule,
+                description: row.description,
+                severity: row.severity,
+                ...JSON.parse(row.details || '{}')
+            });
+            violationsByRecord.set(row.fraud_record_id, violations);
+        });
+
+        return rows.map(row => ({
+            ...JSON.parse(row.record),
+            violations: violationsByRecord.get(row.id) || [],
+            id: row.id
+        }));
+    }
+
+    async getAll(filters = {}) {
+        const { where, params } = this.buildWhere(filters);
+        return this.findRecords(where, params);
+    }
+
+    async getByUserId(userId) {
+        return this.getAll({ userId });
+    }
+
+    async getByRule(rule) {
+        return this.getAll({ rule });
+    }
+
+    // Filter, sort and page fraud records; see fraudQuery.normalizeQuery for the accepted criteria
+    async query(criteria = {}) {
+        const query = normalizeQuery(criteria);
+        const column = SORT_COLUMNS[query.sortBy];
+        const direction = query.order === 'asc' ? 'ASC' : 'DESC';
+        const comparison = query.order === 'asc' ? '>' : '<';
+
+        const { where, params } = this.buildWhere(query);
+        const clauses = [where];
+
+        if (query.after) {
+            clauses.push(`(${column} ${comparison} ? OR (${column} = ? AND id ${comparison} ?))`);
+            params.push(query.after.value, query.after.value, query.after.id);
+        }
+
+        const records = await this.findRecords(clauses.join(' AND '), params, {
+            orderBy: `${column} ${direction}, id ${direction}`,
+            limit: query.limit + 1
+        });
+
+        return toPage(records, query);
+    }
+
+    async getRuleStats() {
+        await this.initialize();
+
+        const { total } = await this.get('SELECT COUNT(*) AS total FROM fraud_records');
+        const rows = await this.all('SELECT rule, COUNT(*) AS hits FROM fraud_violations GROUP BY rule');
+
+        const ruleBreakdown = {};
+        rows.forEach(row => {
+            ruleBreakdown[row.rule] = row.hits;
+        });
+
+        return { total, ruleBreakdown };
+    }
+
+    async getListEntries() {
+        await this.initialize();
+
+        const rows = await this.all('SELECT entry FROM list_entries ORDER BY rowid ASC');
+        return rows.map(row => JSON.parse(row.entry));
+    }
+
+    // Insert or replace a list entry
+    async saveListEntry(entry) {
+        await this.initialize();
+
+        await this.write(
+            `INSERT OR REPLACE INTO list_entries (id, list, entity_type, value, expires_at, entry)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [entry.id, entry.list, entry.entityType, entry.value, entry.expiresAt, JSON.stringify(entry)]
+        );
+        return entry;
+    }
+
+    async deleteListEntry(id) {
+        await this.initialize();
+
+        const { changes } = await this.write('DELETE FROM list_entries WHERE id = ?', [id]);
+        return changes > 0;
+    }
+
+    async getCase(id) {
+        await this.initialize();
+
+        const row = await this.get('SELECT case_data FROM cases WHERE id = ?', [id]);
+        return row ? JSON.parse(row.case_data) : null;
+    }
+
+    async getCases(filters = {}) {
+        await this.initialize();
+
+        const clauses = ['1 = 1'];
+        const params = [];
+        if (filters.status) {
+            clauses.push('status = ?');
+            params.push(filters.status);
+        }
+        if (filters.assignee) {
+            clauses.push('assignee = ?');
+            params.push(filters.assignee);
+        }
+
+        const rows = await this.all(`SELECT case_data FROM cases WHERE ${clauses.join(' AND ')} ORDER BY id ASC`, params);
+        return rows.map(row => JSON.parse(row.case_data));
+    }
+
+    async countCases(filters = {}) {
+        await this.initialize();
+
+        const clauses = ['1 = 1'];
+        const params = [];
+        if (filters.resolution) {
+            clauses.push("json_extract(case_data, '$.resolution') = ?");
+            params.push(filters.resolution);
+        }
+
+        const { count } = await this.get(`SELECT COUNT(*) AS count FROM cases WHERE ${clauses.join(' AND ')}`, params);
+        return count;
+    }
+
+    // Per-rule case counts by resolution and confirmed-fraud amount; a rule listed twice on a case counts once
+    async getCaseRuleStats() {
+        await this.initialize();
+
+        const rows = await this.all(
+            `SELECT rule,
+                    COUNT(*) AS hits,
+                    COUNT(CASE WHEN resolution = 'CONFIRMED_FRAUD' THEN 1 END) AS confirmed_fraud,
+                    COUNT(CASE WHEN resolution = 'FALSE_POSITIVE' THEN 1 END) AS false_positive,
+                    TOTAL(CASE WHEN resolution = 'CONFIRMED_FRAUD' THEN amount END) AS confirmed_fraud_amount
+             FROM (
+                 SELECT DISTINCT c.id, r.value AS rule,
+                        json_extract(c.case_data, '$.resolution') AS resolution,
+                        json_extract(c.case_data, '$.amount') AS amount
+                 FROM cases c, json_each(c.case_data, '$.rules') r
+             )
+             GROUP BY rule`
+        );
+
+        const ruleStats = {};
+        rows.forEach(row => {
+            ruleStats[row.rule] = {
+                hits: row.hits,
+                confirmedFraud: row.confirmed_fraud,
+                falsePositive: row.false_positive,
+                confirmedFraudAmount: row.confirmed_fraud_amount
+            };
+        });
+        return ruleStats;
+    }
+
+    // Insert or replace a case
+    async saveCase(fraudCase) {
+        await this.initialize();
+
+        await this.write(
+            `INSERT OR REPLACE INTO cases (id, status, assignee, created_at, updated_at, case_data)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [fraudCase.id, fraudCase.status, fraudCase.assignee, fraudCase.createdAt, fraudCase.updatedAt, JSON.stringify(fraudCase)]
+        );
+        return fraudCase;
+    }
+
+    async getMisses() {
+        await this.initialize();
+
+        const rows = await this.all('SELECT miss FROM fraud_misses ORDER BY reported_at ASC, rowid ASC');
+        return rows.map(row => JSON.parse(row.miss));
+    }
+
+    // Number of misses and their summed base-currency amount
+    async getMissTotals() {
+        await this.initialize();
+
+        const row = await this.get(
+            "SELECT COUNT(*) AS count, TOTAL(json_extract(miss, '$.normalizedAmount')) AS amount FROM fraud_misses"
+        );
+        return { count: row.count, amount: row.amount };
+    }
+
+    // Insert or replace the miss recorded for a transaction
+    async saveMiss(miss) {
+        await this.initialize();
+
+        await this.write(
+            'INSERT OR REPLACE INTO fraud_misses (transaction_id, user_id, reported_at, miss) VALUES (?, ?, ?, ?)',
+            [miss.transactionId, miss.userId, miss.reportedAt, JSON.stringify(miss)]
+        );
+        return miss;
+    }
+
+    async getWebhooks() {
+        await this.initialize();
+
+        const rows = await this.all('SELECT webhook FROM webhooks ORDER BY rowid ASC');
+        return rows.map(row => JSON.parse(row.webhook));
+    }
+
+    // Insert or replace a webhook registration
+    async saveWebhook(webhook) {
+        await this.initialize();
+
+        await this.write('INSERT OR REPLACE INTO webhooks (id, webhook) VALUES (?, ?)', [webhook.id, JSON.stringify(webhook)]);
+        return webhook;
+    }
+
+    async deleteWebhook(id) {
+        await this.initialize();
+
+        const { changes } = await this.write('DELETE FROM webhooks WHERE id = ?', [id]);
+        return changes > 0;
+    }
+
+    async getIncident(id) {
+        await this.initialize();
+
+        const row = await this.get('SELECT incident FROM incidents WHERE id = ?', [id]);
+        return row ? JSON.parse(row.incident) : null;
+    }
+
+    // Incidents, most recently seen first; the (user_id, rule) index serves the latest-incident lookup
+    async getIncidents(filters = {}) {
+        await this.initialize();
+
+        const clauses = ['1 = 1'];
+        const params = [];
+        if (filters.userId) {
+            clauses.push('user_id = ?');
+            params.push(filters.userId);
+        }
+        if (filters.rule) {
+            clauses.push('rule = ?');
+            params.push(filters.rule);
+        }
+
+        if (filters.limit !== undefined) {
+            params.push(filters.limit);
+        }
+
+        const rows = await this.all(
+            `SELECT incident FROM incidents WHERE ${clauses.join(' AND ')} ORDER BY last_seen DESC, rowid DESC
+             ${filters.limit !== undefined ? 'LIMIT ?' : ''}`,
+            params
+        );
+        return rows.map(row => JSON.parse(row.incident));
+    }
+
+    // Insert or replace an incident
+    async saveIncident(incident) {
+        await this.initialize();
+
+        await this.write(
+            `INSERT OR REPLACE INTO incidents (id, user_id, rule, first_seen, last_seen, incident)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [incident.id, incident.userId, incident.rule, incident.firstSeen, incident.lastSeen, JSON.stringify(incident)]
+        );
+        return incident;
+    }
+
+    async getProcessedTransaction(transactionId) {
+        await this.initialize();
+
+        const row = await this.get(
+            'SELECT transaction_id, decision, rule_set_version, processed_at FROM processed_transactions WHERE transaction_id = ?',
+            [String(transactionId)]
+        );
+        return row ? {
+            transactionId: row.transaction_id,
+            decision: row.decision,
+            ruleSetVersion: row.rule_set_version,
+            processedAt: row.processed_at
+        } : null;
+    }
+
+    // Record a transaction's decision; the first one recorded for a transaction id is kept
+    async saveProcessedTransaction(processed) {
+        await this.initialize();
+
+        await this.write(
+            `INSERT OR IGNORE INTO processed_transactions (transaction_id, decision, rule_set_version, processed_at)
+             VALUES (?, ?, ?, ?)`,
+            [String(processed.transactionId), processed.decision, processed.ruleSetVersion, processed.processedAt]
+        );
+        return processed;
+    }
+
+    // Forget transactions processed before the given ISO timestamp; returns how many were removed
+    async deleteProcessedTransactions(before) {
+        await this.initialize();
+
+        const { changes } = await this.write('DELETE FROM processed_transactions WHERE processed_at < ?', [before]);
+        return changes;
+    }
+
+    // Rule set versions in upload order, each { version, source, uploadedAt, activatedAt, ruleSet }
+    async getRuleSets() {
+        await this.initialize();
+
+        const rows = await this.all('SELECT rule_set FROM rule_sets ORDER BY rowid ASC');
+        return rows.map(row => JSON.parse(row.rule_set));
+    }
+
+    // Insert or replace a rule set version
+    async saveRuleSet(ruleSet) {
+        await this.initialize();
+
+        await this.write(
+            `INSERT INTO rule_sets (version, rule_set) VALUES (?, ?)
+             ON CONFLICT (version) DO UPDATE SET rule_set = excluded.rule_set`,
+            [ruleSet.version, JSON.stringify(ruleSet)]
+        );
+        return ruleSet;
+    }
+
+    // { activeVersion, history }, or null before a rule set was first activated
+    async getRuleSetActivation() {
+        await this.initialize();
+
+        const row = await this.get('SELECT active_version, history FROM rule_set_activation WHERE id = 1');
+        return row ? { activeVersion: row.active_version, history: JSON.parse(row.history) } : null;
+    }
+
+    async saveRuleSetActivation(activation) {
+        await this.initialize();
+
+        await this.write(
+            'INSERT OR REPLACE INTO rule_set_activation (id, active_version, history) VALUES (1, ?, ?)',
+            [activation.activeVersion, JSON.stringify(activation.history)]
+        );
+        return activation;
+    }
+
+    async getDeadLetter(id) {
+        await this.initialize();
+
+        const row = await this.get('SELECT entry FROM dead_letters WHERE id = ?', [id]);
+        return row ? JSON.parse(row.entry) : null;
+    }
+
+    // Dead-lettered messages, most recent first
+    async getDeadLetters() {
+        await this.initialize();
+
+        const rows = await this.all('SELECT entry FROM dead_letters ORDER BY failed_at DESC, rowid DESC');
+        return rows.map(row => JSON.parse(row.entry));
+    }
+
+    // Insert or replace a dead-lettered message, then drop all but the most recent `retained`
+    async saveDeadLetter(entry, retained) {
+        await this.initialize();
+
+        return this.transaction(async () => {
+            await this.run(
+                'INSERT OR REPLACE INTO dead_letters (id, status, failed_at, entry) VALUES (?, ?, ?, ?)',
+                [entry.id, entry.status, entry.failedAt, JSON.stringify(entry)]
+            );
+            if (retained !== undefined) {
+                await this.run(
+                    `DELETE FROM dead_letters WHERE id NOT IN (
+                        SELECT id FROM dead_letters ORDER BY failed_at DESC, rowid DESC LIMIT ?
+                    )`,
+                    [retained]
+                );
+            }
+            return entry;
+        });
+    }
+
+    // Replace a dead-lettered message only while its stored status is still `fromStatus`;
+    // returns false when another caller changed it first
+    async updateDeadLetter(entry, fromStatus) {
+        await this.initialize();
+
+        const { changes } = await this.write(
+            'UPDATE dead_letters SET status = ?, entry = ? WHERE id = ? AND status = ?',
+            [entry.status, JSON.stringify(entry), entry.id, fromStatus]
+        );
+        return changes > 0;
+    }
+
+    async close() {
+        if (!this.db) {
+            return;
+        }
+
+        await this.initPromise.catch(() => {});
+        await new Promise((resolve, reject) => {
+            this.db.close(error => (error ? reject(error) : resolve()));
+        });
+        this.db = null;
+        this.initPromise = null;
+
+        logger.info('Fraud database closed', { dbPath: this.dbPath });
+    }
+}
+
+module.exports = SqliteFraudStore;
@@ -0,0 +1,24 @@
+// Error carrying the HTTP status a route should answer with
+class AppError extends Error {
+    constructor(message, statusCode = 500) {
+        super(message);
+        this.name = 'AppError';
+        this.statusCode = statusCode;
+    }
+}
+
+// A payload that failed schema validation; errors lists every problem as { path, code, message }.
+// Retrying cannot fix it, so consumers route it to the rejected-messages sink instead
+class ValidationError extends AppError {
+    constructor(errors, message = errors.map(error => error.message).join('; ')) {
+        super(message, 400);
+        this.name = 'ValidationError';
+        this.errors = errors;
+        this.retryable = false;
+    }
+}
+
+module.exports = {
+    AppError,
+    ValidationError
+};
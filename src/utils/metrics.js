@@ -33,6 +33,94 @@ const fraudDetectionsTotal = new promClient.Counter({
     labelNames: ['result', 'rule_violations']
 });
 
+const fraudDecisionsTotal = new promClient.Counter({
+    name: 'fraud_decisions_total',
+    help: 'Total number of risk decisions by outcome',
+    labelNames: ['decision']
+});
+
+const duplicateTransactionsTotal = new promClient.Counter({
+    name: 'duplicate_transactions_total',
+    help: 'Total number of redelivered transactions skipped by deduplication'
+});
+
+const lateEventsTotal = new promClient.Counter({
+    name: 'velocity_late_events_total',
+    help: 'Total number of transactions that arrived beyond the allowed lateness and skipped velocity rules'
+});
+
+const listMatchesTotal = new promClient.Counter({
+    name: 'list_matches_total',
+    help: 'Total number of transactions matching an allow, block or watch list entry',
+    labelNames: ['list', 'entity_type']
+});
+
+const fxUnavailableTotal = new promClient.Counter({
+    name: 'fx_rate_unavailable_total',
+    help: 'Total number of transactions evaluated on their raw amount because their currency has no FX rate',
+    labelNames: ['currency']
+});
+
+const validationErrorsTotal = new promClient.Counter({
+    name: 'transaction_validation_errors_total',
+    help: 'Total number of transaction schema validation errors by field and error code',
+    labelNames: ['field', 'code']
+});
+
+const rejectedMessagesTotal = new promClient.Counter({
+    name: 'rejected_messages_total',
+    help: 'Total number of non-retryable messages sent to the rejected-messages topic',
+    labelNames: ['topic', 'status']
+});
+
+const caseTransitionsTotal = new promClient.Counter({
+    name: 'case_transitions_total',
+    help: 'Total number of case status transitions',
+    labelNames: ['from', 'to']
+});
+
+const chargebacksTotal = new promClient.Counter({
+    name: 'chargebacks_processed_total',
+    help: 'Total number of chargeback and fraud-confirmation events by type and outcome',
+    labelNames: ['type', 'outcome']
+});
+
+const webhookAttemptsTotal = new promClient.Counter({
+    name: 'webhook_delivery_attempts_total',
+    help: 'Total number of webhook POST attempts by outcome',
+    labelNames: ['outcome']
+});
+
+const webhookDeliveriesTotal = new promClient.Counter({
+    name: 'webhook_deliveries_total',
+    help: 'Total number of webhook deliveries by final status',
+    labelNames: ['status']
+});
+
+const incidentsOpenedTotal = new promClient.Counter({
+    name: 'fraud_incidents_opened_total',
+    help: 'Total number of fraud incidents opened by rule',
+    labelNames: ['rule']
+});
+
+const alertsSuppressedTotal = new promClient.Counter({
+    name: 'alerts_suppressed_total',
+    help: 'Total number of rule hits whose notification was suppressed by an open incident',
+    labelNames: ['rule']
+});
+
+const shadowRuleEvaluationsTotal = new promClient.Counter({
+    name: 'shadow_rule_evaluations_total',
+    help: 'Total number of transactions evaluated by shadow rules',
+    labelNames: ['rule']
+});
+
+const shadowRuleHitsTotal = new promClient.Counter({
+    name: 'shadow_rule_hits_total',
+    help: 'Total number of shadow rule hits, by the live result of the transaction',
+    labelNames: ['rule', 'live_result']
+});
+
 const kafkaMessagesProcessed = new promClient.Counter({
     name: 'kafka_messages_processed_total',
     help: 'Total number of Kafka messages processed',
@@ -46,6 +134,24 @@ const kafkaMessageProcessingDuration = new promClient.Histogram({
     buckets: [0.01, 0.05, 0.1, 0.5, 1, 2, 5]
 });
 
+const alertsPublishedTotal = new promClient.Counter({
+    name: 'fraud_alerts_published_total',
+    help: 'Total number of fraud decisions published to the alerts topic',
+    labelNames: ['status', 'decision']
+});
+
+const deadLetterMessagesTotal = new promClient.Counter({
+    name: 'dead_letter_messages_total',
+    help: 'Total number of messages sent to the dead-letter topic after exhausting retries',
+    labelNames: ['topic', 'status']
+});
+
+const deadLetterRedrivesTotal = new promClient.Counter({
+    name: 'dead_letter_redrives_total',
+    help: 'Total number of dead-letter re-drive attempts',
+    labelNames: ['status']
+});
+
 const retryQueueSize = new promClient.Gauge({
     name: 'retry_queue_size',
     help: 'Current size of the retry queue'
@@ -61,16 +167,76 @@ const activeConnections = new promClient.Gauge({
     help: 'Number of active connections'
 });
 
+// Per-rule analyst feedback, recomputed from case resolutions
+const ruleHits = new promClient.Gauge({
+    name: 'rule_hits',
+    help: 'Stored fraud records flagged by each rule',
+    labelNames: ['rule']
+});
+
+const ruleLabelledHits = new promClient.Gauge({
+    name: 'rule_labelled_hits',
+    help: 'Hits of each rule labelled by analysts, by label (confirmed_fraud or false_positive)',
+    labelNames: ['rule', 'label']
+});
+
+const rulePrecision = new promClient.Gauge({
+    name: 'rule_precision',
+    help: 'Share of labelled hits of each rule confirmed as fraud (0-1); absent until a hit is labelled',
+    labelNames: ['rule']
+});
+
+const ruleConfirmedFraudAmount = new promClient.Gauge({
+    name: 'rule_confirmed_fraud_amount',
+    help: 'Base-currency amount of confirmed fraud caught by each rule',
+    labelNames: ['rule']
+});
+
+const fraudRecall = new promClient.Gauge({
+    name: 'fraud_recall',
+    help: 'Share of confirmed frauds that were flagged (0-1); absent until a fraud is confirmed'
+});
+
+const confirmedFrauds = new promClient.Gauge({
+    name: 'confirmed_frauds',
+    help: 'Confirmed frauds by whether a rule flagged them (caught) or not (missed)',
+    labelNames: ['outcome']
+});
+
 // Register all metrics
 register.registerMetric(httpRequestDurationMicroseconds);
 register.registerMetric(httpRequestsTotal);
 register.registerMetric(fraudDetectionDuration);
 register.registerMetric(fraudDetectionsTotal);
+register.registerMetric(fraudDecisionsTotal);
+register.registerMetric(duplicateTransactionsTotal);
+register.registerMetric(lateEventsTotal);
+register.registerMetric(listMatchesTotal);
+register.registerMetric(fxUnavailableTotal);
+register.registerMetric(validationErrorsTotal);
+register.registerMetric(rejectedMessagesTotal);
+register.registerMetric(caseTransitionsTotal);
+register.registerMetric(chargebacksTotal);
+register.registerMetric(webhookAttemptsTotal);
+register.registerMetric(webhookDeliveriesTotal);
+register.registerMetric(incidentsOpenedTotal);
+register.registerMetric(alertsSuppressedTotal);
+register.registerMetric(shadowRuleEvaluationsTotal);
+register.registerMetric(shadowRuleHitsTotal);
 register.registerMetric(kafkaMessagesProcessed);
 register.registerMetric(kafkaMessageProcessingDuration);
+register.registerMetric(alertsPublishedTotal);
+register.registerMetric(deadLetterMessagesTotal);
+register.registerMetric(deadLetterRedrivesTotal);
 register.registerMetric(retryQueueSize);
 register.registerMetric(cacheHitRatio);
 register.registerMetric(activeConnections);
+register.registerMetric(ruleHits);
+register.registerMetric(ruleLabelledHits);
+register.registerMetric(rulePrecision);
+register.registerMetric(ruleConfirmedFraudAmount);
+register.registerMetric(fraudRecall);
+register.registerMetric(confirmedFrauds);
 
 // Helper functions for metrics
 const metrics = {
@@ -98,6 +264,69 @@ const metrics = {
             .inc();
     },
 
+    recordDecision: (decision) => {
+        fraudDecisionsTotal
+            .labels(decision)
+            .inc();
+    },
+
+    recordDuplicateTransaction: () => {
+        duplicateTransactionsTotal.inc();
+    },
+
+    recordLateEvent: () => {
+        lateEventsTotal.inc();
+    },
+
+    recordListMatch: (list, entityType) => {
+        listMatchesTotal
+            .labels(list, entityType)
+            .inc();
+    },
+
+    recordFxUnavailable: (currency) => {
+        fxUnavailableTotal
+            .labels(currency)
+            .inc();
+    },
+
+    recordValidationError: (field, code) => {
+        validationErrorsTotal
+            .labels(field, code)
+            .inc();
+    },
+
+    recordRejectedMessage: (topic, status) => {
+        rejectedMessagesTotal
+            .labels(topic, status)
+            .inc();
+    },
+
+    recordCaseTransition: (from, to) => {
+        caseTransitionsTotal
+            .labels(from, to)
+            .inc();
+    },
+
+    recordChargeback: (type, outcome) => {
+        chargebacksTotal
+            .labels(type, outcome)
+            .inc();
+    },
+
+    // Shadow rule metrics
+    recordShadowRuleEvaluation: (rule) => {
+        shadowRuleEvaluationsTotal
+            .labels(rule)
+            .inc();
+    },
+
+    recordShadowRuleHit: (rule, liveResult) => {
+        shadowRuleHitsTotal
+            .labels(rule, liveResult)
+            .inc();
+    },
+
     // Kafka metrics
     recordKafkaMessage: (status, topic, duration) => {
         kafkaMessagesProcessed
@@ -111,6 +340,52 @@ const metrics = {
         }
     },
 
+    // Alert publishing metrics
+    recordAlertPublished: (status, decision) => {
+        alertsPublishedTotal
+            .labels(status, decision)
+            .inc();
+    },
+
+    // Webhook metrics
+    recordWebhookAttempt: (outcome) => {
+        webhookAttemptsTotal
+            .labels(outcome)
+            .inc();
+    },
+
+    recordWebhookDelivery: (status) => {
+        webhookDeliveriesTotal
+            .labels(status)
+            .inc();
+    },
+
+    // Incident metrics
+    recordIncidentOpened: (rule) => {
+        incidentsOpenedTotal
+            .labels(rule)
+            .inc();
+    },
+
+    recordSuppressedAlert: (rule) => {
+        alertsSuppressedTotal
+            .labels(rule)
+            .inc();
+    },
+
+    // Dead-letter metrics
+    recordDeadLetter: (topic, status) => {
+        deadLetterMessagesTotal
+            .labels(topic, status)
+            .inc();
+    },
+
+    recordDeadLetterRedrive: (status) => {
+        deadLetterRedrivesTotal
+            .labels(status)
+            .inc();
+    },
+
     // Queue metrics
     updateRetryQueueSize: (size) => {
         retryQueueSize.set(size);
@@ -126,6 +401,30 @@ const metrics = {
         activeConnections.set(count);
     },
 
+    // Rule feedback metrics; replaces every rule's figures so rules without cases drop out
+    updateRuleFeedback: (ruleStats) => {
+        [ruleHits, ruleLabelledHits, rulePrecision, ruleConfirmedFraudAmount].forEach(gauge => gauge.reset());
+
+        Object.entries(ruleStats).forEach(([rule, stats]) => {
+            ruleHits.labels(rule).set(stats.hits);
+            ruleLabelledHits.labels(rule, 'confirmed_fraud').set(stats.confirmedFraud);
+            ruleLabelledHits.labels(rule, 'false_positive').set(stats.falsePositive);
+            ruleConfirmedFraudAmount.labels(rule).set(stats.confirmedFraudAmount);
+            if (stats.precision !== null) {
+                rulePrecision.labels(rule).set(stats.precision);
+            }
+        });
+    },
+
+    updateRecall: ({ caught, missed, recall }) => {
+        confirmedFrauds.labels('caught').set(caught);
+        confirmedFrauds.labels('missed').set(missed);
+        fraudRecall.reset();
+        if (recall !== null) {
+            fraudRecall.set(recall);
+        }
+    },
+
     // Get metrics for Prometheus endpoint
     getMetrics: async () => {
         return await register.metrics();
@@ -0,0 +1,319 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const AlertPublisher = require('../kafka/alertPublisher');
+const RuleEngine = require('../rules/ruleEngine');
+const { AppError } = require('../utils/errors');
+
+// Headers sent with every delivery; the signature is "sha256=" + HMAC-SHA256(secret, `${timestamp}.${body}`)
+const WEBHOOK_HEADERS = {
+    signature: 'x-webhook-signature',
+    timestamp: 'x-webhook-timestamp',
+    deliveryId: 'x-webhook-delivery',
+    event: 'x-webhook-event'
+};
+
+const sign = (secret, timestamp, body) => (
+    `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+);
+
+// No response, a server error or rate limiting may succeed later; other client errors will not
+const isRetryable = statusCode => statusCode === null || statusCode >= 500 || statusCode === 429;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Webhook endpoints that receive a signed POST of the alert envelope for every flagged transaction,
+// with retries and a bounded in-memory delivery log; registrations are persisted in the fraud store
+class WebhookManager {
+    constructor(store, options = {}) {
+        this.store = store;
+        this.http = options.http || axios;
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+        this.retryBaseMs = options.retryBaseMs !== undefined
+            ? options.retryBaseMs
+            : parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 1000;
+        this.timeoutMs = options.timeoutMs || parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000;
+        this.deliveryLimit = options.deliveryLimit || parseInt(process.env.WEBHOOK_DELIVERY_LOG_LIMIT, 10) || 1000;
+        this.webhooks = new Map();
+        this.deliveries = new Map();
+        this.inFlight = new Set();
+    }
+
+    async load() {
+        const webhooks = await this.store.getWebhooks();
+        this.webhooks = new Map(webhooks.map(webhook => [webhook.id, webhook]));
+
+        logger.info('Webhooks loaded', { count: this.webhooks.size });
+    }
+
+    validate(input, existing = {}) {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            throw new AppError('Webhook must be a JSON object', 400);
+        }
+
+        const webhook = { ...existing, ...input };
+
+        let url;
+        try {
+            url = new URL(webhook.url);
+        } catch (error) {
+            url = null;
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            throw new AppError('url must be an http or https URL', 400);
+        }
+
+        if (webhook.secret !== undefined && (typeof webhook.secret !== 'string' || webhook.secret === '')) {
+            throw new AppError('secret must be a non-empty string', 400);
+        }
+        if (webhook.active !== undefined && typeof webhook.active !== 'boolean') {
+            throw new AppError('active must be a boolean', 400);
+        }
+
+        // Every filter given must match; an empty filter set receives every flagged transaction
+        const filters = webhook.filters || {};
+        if (typeof filters !== 'object' || Array.isArray(filters)) {
+            throw new AppError('filters must be an object', 400);
+        }
+        if (filters.rules !== undefined
+            && (!Array.isArray(filters.rules) || filters.rules.some(rule => typeof rule !== 'string' || rule === ''))) {
+            throw new AppError('filters.rules must be an array of rule names', 400);
+        }
+        if (filters.severities !== undefined
+            && (!Array.isArray(filters.severities) || filters.severities.some(severity => !RuleEngine.SEVERITIES.includes(severity)))) {
+            throw new AppError(`filters.severities must only contain ${RuleEngine.SEVERITIES.join(', ')}`, 400);
+        }
+        if (filters.minScore !== undefined
+            && (typeof filters.minScore !== 'number' || filters.minScore < 0 || filters.minScore > 100)) {
+            throw new AppError('filters.minScore must be a number between 0 and 100', 400);
+        }
+
+        return {
+            id: existing.id || crypto.randomUUID(),
+            url: url.toString(),
+            description: webhook.description || null,
+            secret: webhook.secret || crypto.randomBytes(32).toString('hex'),
+            filters: {
+                ...(filters.rules ? { rules: filters.rules } : {}),
+                ...(filters.severities ? { severities: filters.severities } : {}),
+                ...(filters.minScore !== undefined ? { minScore: filters.minScore } : {})
+            },
+            active: webhook.active !== undefined ? webhook.active : true,
+            createdAt: existing.createdAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    // Registrations without their secret, which is only returned when the webhook is created
+    describe(webhook) {
+        const { secret, ...summary } = webhook;
+        return summary;
+    }
+
+    list() {
+        return [...this.webhooks.values()].map(webhook => this.describe(webhook));
+    }
+
+    get(id) {
+        const webhook = this.webhooks.get(id);
+        if (!webhook) {
+            throw new AppError(`Webhook ${id} not found`, 404);
+        }
+        return webhook;
+    }
+
+    async create(input) {
+        const webhook = this.validate(input);
+
+        await this.store.saveWebhook(webhook);
+        this.webhooks.set(webhook.id, webhook);
+
+        logger.info('Webhook registered', { id: webhook.id, url: webhook.url, filters: webhook.filters });
+        return webhook;
+    }
+
+    async update(id, input) {
+        const { id: ignoredId, createdAt, ...changes } = input || {};
+        const webhook = this.validate(changes, this.get(id));
+
+        await this.store.saveWebhook(webhook);
+        this.webhooks.set(id, webhook);
+
+        logger.info('Webhook updated', { id, url: webhook.url, active: webhook.active });
+        return webhook;
+    }
+
+    async remove(id) {
+        const webhook = this.get(id);
+
+        await this.store.deleteWebhook(id);
+        this.webhooks.delete(id);
+
+        logger.info('Webhook deleted', { id, url: webhook.url });
+        return webhook;
+    }
+
+    matches(webhook, result) {
+        const { rules, severities, minScore } = webhook.filters;
+
+        return webhook.active
+            && (!rules || result.violations.some(violation => rules.includes(violation.rule)))
+            && (!severities || result.violations.some(violation => severities.includes(violation.severity)))
+            && (minScore === undefined || result.riskScore >= minScore);
+    }
+
+    // Deliver a processTransaction result to every matching webhook; never rejects. Results suppressed
+    // by an already notified incident are skipped
+    dispatch(result) {
+        if (!result.isSuspicious || result.suppressed) {
+            return Promise.resolve([]);
+        }
+
+        const targets = [...this.webhooks.values()].filter(webhook => this.matches(webhook, result));
+        if (targets.length === 0) {
+            return Promise.resolve([]);
+        }
+
+        const envelope = AlertPublisher.buildEnvelope(result);
+        const deliveries = targets.map(webhook => {
+            const delivery = this.deliver(webhook, envelope).catch(error => {
+                logger.error('Webhook delivery crashed', { webhookId: webhook.id, error: error.message });
+            });
+            this.inFlight.add(delivery);
+            delivery.finally(() => this.inFlight.delete(delivery));
+            return delivery;
+        });
+
+        return Promise.all(deliveries);
+    }
+
+    // POST the envelope until it is accepted, a non-retryable status comes back or the attempts run out
+    async deliver(webhook, envelope) {
+        const body = JSON.stringify(envelope);
+        const delivery = {
+            id: crypto.randomUUID(),
+            webhookId: webhook.id,
+            url: webhook.url,
+            eventId: envelope.eventId,
+            transactionId: envelope.transaction.transactionId,
+            status: 'PENDING',
+            attempts: [],
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        this.deliveries.set(delivery.id, delivery);
+        this.trim();
+
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            const outcome = await this.attempt(webhook, delivery, body, attempt);
+            delivery.attempts.push(outcome);
+            delivery.updatedAt = outcome.at;
+            metrics.recordWebhookAttempt(outcome.ok ? 'success' : 'failure');
+
+            if (outcome.ok) {
+                delivery.status = 'DELIVERED';
+                break;
+            }
+            if (!isRetryable(outcome.statusCode) || attempt === this.maxAttempts || !this.webhooks.has(webhook.id)) {
+                delivery.status = 'FAILED';
+                break;
+            }
+
+            const delayMs = Math.pow(2, attempt - 1) * this.retryBaseMs;
+            delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+            logger.warn('Webhook delivery failed, retrying', {
+                deliveryId: delivery.id,
+                webhookId: webhook.id,
+                attempt,
+                statusCode: outcome.statusCode,
+                error: outcome.error,
+                delayMs
+            });
+            await sleep(delayMs);
+        }
+
+        delete delivery.nextAttemptAt;
+
+        const meta = {
+            deliveryId: delivery.id,
+            webhookId: webhook.id,
+            transactionId: delivery.transactionId,
+            attempts: delivery.attempts.length
+        };
+        if (delivery.status === 'DELIVERED') {
+            metrics.recordWebhookDelivery('delivered');
+            logger.info('Webhook delivered', meta);
+        } else {
+            metrics.recordWebhookDelivery('failed');
+            logger.error('Webhook delivery failed', meta);
+        }
+
+        return delivery;
+    }
+
+    async attempt(webhook, delivery, body, attempt) {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const startTime = Date.now();
+
+        try {
+            // Every status resolves so it is logged; only timeouts and connection errors throw
+            const response = await this.http.post(webhook.url, body, {
+                headers: {
+                    'content-type': 'application/json',
+                    [WEBHOOK_HEADERS.signature]: sign(webhook.secret, timestamp, body),
+                    [WEBHOOK_HEADERS.timestamp]: timestamp,
+                    [WEBHOOK_HEADERS.deliveryId]: delivery.id,
+                    [WEBHOOK_HEADERS.event]: 'fraud.alert'
+                },
+                timeout: this.timeoutMs,
+                validateStatus: () => true
+            });
+            const ok = response.status >= 200 && response.status < 300;
+
+            return {
+                attempt,
+                at: new Date().toISOString(),
+                ok,
+                statusCode: response.status,
+                error: ok ? null : `HTTP ${response.status}`,
+                durationMs: Date.now() - startTime
+            };
+        } catch (error) {
+            return {
+                attempt,
+                at: new Date().toISOString(),
+                ok: false,
+                statusCode: null,
+                error: error.message,
+                durationMs: Date.now() - startTime
+            };
+        }
+    }
+
+    // Drop the oldest deliveries once more than the retained limit are held
+    trim() {
+        while (this.deliveries.size > this.deliveryLimit) {
+            this.deliveries.delete(this.deliveries.keys().next().value);
+        }
+    }
+
+    // Delivery log of a webhook, newest first, optionally filtered by status
+    getDeliveries(webhookId, { status } = {}) {
+        this.get(webhookId);
+
+        return [...this.deliveries.values()]
+            .filter(delivery => delivery.webhookId === webhookId && (!status || delivery.status === status))
+            .reverse();
+    }
+
+    // Wait for deliveries in progress, including their retries
+    async flush() {
+        await Promise.all([...this.inFlight]);
+    }
+}
+
+WebhookManager.HEADERS = WEBHOOK_HEADERS;
+WebhookManager.sign = sign;
+
+module.exports = WebhookManager;
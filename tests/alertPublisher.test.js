@@ -0,0 +1,78 @@
+const AlertPublisher = require('../src/kafka/alertPublisher');
+const FraudDetectionService = require('../src/services/fraudDetectionService');
+
+describe('AlertPublisher', () => {
+    let producer;
+    let fraudService;
+
+    const transaction = {
+        transactionId: 'txn_1',
+        userId: 'user_1',
+        amount: 6000,
+        location: 'Nigeria',
+        timestamp: '2025-01-15T10:30:00Z'
+    };
+
+    const publishedEnvelopes = () => producer.send.mock.calls.map(([{ messages }]) => JSON.parse(messages[0].value));
+
+    beforeEach(() => {
+        producer = { send: jest.fn().mockResolvedValue([]) };
+        fraudService = new FraudDetectionService();
+    });
+
+    const subscribe = (publisher) => {
+        const published = [];
+        fraudService.on('decision', result => published.push(publisher.publish(result)));
+        return published;
+    };
+
+    test('should publish suspicious decisions keyed by userId in a versioned envelope', async () => {
+        const published = subscribe(new AlertPublisher(producer, { topic: 'alerts' }));
+
+        await fraudService.processTransaction(transaction);
+        await fraudService.processTransaction({ ...transaction, transactionId: 'txn_2', userId: 'user_2', amount: 12, location: 'USA' });
+        await Promise.all(published);
+
+        expect(producer.send).toHaveBeenCalledTimes(1);
+        const [{ topic, messages }] = producer.send.mock.calls[0];
+        expect(topic).toBe('alerts');
+        expect(messages[0].key).toBe('user_1');
+        expect(messages[0].headers['x-schema-version']).toBe(String(AlertPublisher.SCHEMA_VERSION));
+
+        const [envelope] = publishedEnvelopes();
+        expect(envelope).toMatchObject({
+            schemaVersion: 1,
+            eventType: 'fraud.alert',
+            isSuspicious: true,
+            decision: 'DECLINE',
+            riskScore: 70,
+            ruleSetVersion: '1',
+            transaction: { transactionId: 'txn_1', userId: 'user_1', amount: 6000 }
+        });
+        expect(envelope.violations.map(v => v.rule)).toEqual(['HIGH_AMOUNT_NON_USA', 'ROUND_AMOUNT']);
+        expect(envelope.transaction.violations).toBeUndefined();
+    });
+
+    test('should publish every decision in "all" mode but never dry runs', async () => {
+        const published = subscribe(new AlertPublisher(producer, { mode: 'all' }));
+
+        await fraudService.processTransaction({ ...transaction, amount: 12, location: 'USA' });
+        await fraudService.processTransaction({ ...transaction, transactionId: 'txn_2' }, { dryRun: true });
+        await Promise.all(published);
+
+        expect(publishedEnvelopes().map(e => [e.eventType, e.decision])).toEqual([['fraud.decision', 'APPROVE']]);
+    });
+
+    test('should swallow publish failures', async () => {
+        producer.send.mockRejectedValue(new Error('broker down'));
+        const publisher = new AlertPublisher(producer);
+
+        const result = await fraudService.processTransaction(transaction);
+
+        await expect(publisher.publish(result)).resolves.toBeNull();
+    });
+
+    test('should reject unknown publish modes', () => {
+        expect(() => new AlertPublisher(producer, { mode: 'some' })).toThrow('ALERTS_PUBLISH_MODE must be one of');
+    });
+});
@@ -0,0 +1,243 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const caseRoutes = require('../src/routes/caseRoutes');
+const FraudDetectionService = require('../src/services/fraudDetectionService');
+const metrics = require('../src/utils/metrics');
+const { SqliteFraudStore } = require('../src/storage');
+
+const createTransaction = (overrides = {}) => ({
+    transactionId: 'txn_1',
+    userId: 'user_1',
+    amount: 6500,
+    location: 'Nigeria',
+    timestamp: '2025-01-15T10:30:00Z',
+    ...overrides
+});
+
+describe('Case management', () => {
+    let fraudService;
+    let app;
+    let caseId;
+
+    beforeEach(async () => {
+        fraudService = new FraudDetectionService();
+        await fraudService.initialize();
+
+        app = express();
+        app.use(express.json());
+        app.set('fraudDetectionService', fraudService);
+        app.use('/', caseRoutes);
+
+        const result = await fraudService.processTransaction(createTransaction());
+        caseId = result.transaction.id;
+    });
+
+    test('should open a case for every stored fraud record', async () => {
+        await fraudService.processTransaction(createTransaction({ transactionId: 'txn_2', userId: 'user_2', amount: 40, location: 'USA' }));
+
+        const response = await request(app).get('/cases');
+        expect(response.status).toBe(200);
+        expect(response.body.count).toBe(1);
+        expect(response.body.data[0]).toMatchObject({
+            id: caseId,
+            transactionId: 'txn_1',
+            status: 'OPEN',
+            resolution: null,
+            assignee: null,
+            rules: ['HIGH_AMOUNT_NON_USA'],
+            history: [expect.objectContaining({ from: null, to: 'OPEN', actor: 'system' })]
+        });
+    });
+
+    test('should walk a case through review to a resolution', async () => {
+        await request(app).put(`/cases/${caseId}/assignee`).send({ assignee: 'alice', actor: 'lead' });
+        await request(app).post(`/cases/${caseId}/transitions`).send({ status: 'IN_REVIEW', actor: 'alice' });
+        await request(app)
+            .post(`/cases/${caseId}/transitions`)
+            .send({ status: 'FALSE_POSITIVE', actor: 'alice', reason: 'Customer confirmed travel' });
+        const closed = await request(app).post(`/cases/${caseId}/transitions`).send({ status: 'CLOSED', actor: 'alice' });
+
+        expect(closed.status).toBe(200);
+        expect(closed.body.data).toMatchObject({ status: 'CLOSED', resolution: 'FALSE_POSITIVE', assignee: 'alice' });
+        expect(closed.body.data.history.map(entry => entry.to)).toEqual(['OPEN', 'IN_REVIEW', 'FALSE_POSITIVE', 'CLOSED']);
+        expect(closed.body.data.history[2]).toMatchObject({
+            from: 'IN_REVIEW',
+            actor: 'alice',
+            reason: 'Customer confirmed travel'
+        });
+
+        const assigned = await request(app).get('/cases?assignee=alice&status=closed');
+        expect(assigned.body.count).toBe(1);
+    });
+
+    test('should reject invalid transitions', async () => {
+        const skipped = await request(app)
+            .post(`/cases/${caseId}/transitions`)
+            .send({ status: 'CONFIRMED_FRAUD', actor: 'alice' });
+        expect(skipped.status).toBe(409);
+        expect(skipped.body.message).toBe(`Cannot move case ${caseId} from OPEN to CONFIRMED_FRAUD (allowed: IN_REVIEW, CLOSED)`);
+
+        const unknown = await request(app).post(`/cases/${caseId}/transitions`).send({ status: 'ESCALATED', actor: 'alice' });
+        expect(unknown.status).toBe(400);
+
+        const anonymous = await request(app).post(`/cases/${caseId}/transitions`).send({ status: 'IN_REVIEW' });
+        expect(anonymous.status).toBe(400);
+
+        expect((await request(app).get(`/cases/${caseId}`)).body.data.status).toBe('OPEN');
+    });
+
+    test('should clear the resolution when a case is reopened', async () => {
+        const cases = fraudService.getCaseManager();
+        await cases.transition(caseId, { status: 'IN_REVIEW', actor: 'alice' });
+        await cases.transition(caseId, { status: 'CONFIRMED_FRAUD', actor: 'alice' });
+        const reopened = await cases.transition(caseId, { status: 'IN_REVIEW', actor: 'bob' });
+
+        expect(reopened).toMatchObject({ status: 'IN_REVIEW', resolution: null });
+    });
+
+    test('should add timestamped notes', async () => {
+        const note = await request(app).post(`/cases/${caseId}/notes`).send({ author: 'alice', text: 'Called the cardholder' });
+        expect(note.status).toBe(201);
+        expect(note.body.data).toMatchObject({ author: 'alice', text: 'Called the cardholder' });
+        expect(new Date(note.body.data.createdAt).getTime()).not.toBeNaN();
+
+        const empty = await request(app).post(`/cases/${caseId}/notes`).send({ author: 'alice', text: ' ' });
+        expect(empty.status).toBe(400);
+
+        const fraudCase = await request(app).get(`/cases/${caseId}`);
+        expect(fraudCase.body.data.notes).toHaveLength(1);
+    });
+
+    test('should return 404 for unknown cases', async () => {
+        expect((await request(app).get('/cases/999')).status).toBe(404);
+        expect((await request(app).get('/cases/abc')).status).toBe(404);
+    });
+
+    test('should not open cases for dry runs', async () => {
+        await fraudService.processTransaction(createTransaction({ transactionId: 'txn_3' }), { dryRun: true });
+
+        expect(await fraudService.getCaseManager().list()).toHaveLength(1);
+    });
+});
+
+describe('Rule precision', () => {
+    let fraudService;
+
+    const label = async (id, resolution) => {
+        const cases = fraudService.getCaseManager();
+        await cases.transition(id, { status: 'IN_REVIEW', actor: 'alice' });
+        await cases.transition(id, { status: resolution, actor: 'alice' });
+    };
+
+    beforeEach(async () => {
+        fraudService = new FraudDetectionService();
+        await fraudService.initialize();
+    });
+
+    test('should compute per-rule precision and confirmed-fraud amount from case resolutions', async () => {
+        const fraud = await fraudService.processTransaction(createTransaction({ userId: 'user_1' }));
+        const roundUsd = await fraudService.processTransaction(createTransaction({
+            transactionId: 'txn_2', userId: 'user_2', amount: 3000, location: 'USA'
+        }));
+        const eur = await fraudService.processTransaction(createTransaction({
+            transactionId: 'txn_3', userId: 'user_3', amount: 7000, currency: 'EUR'
+        }));
+        await fraudService.processTransaction(createTransaction({
+            transactionId: 'txn_4', userId: 'user_4', amount: 2000, location: 'USA'
+        }));
+
+        await label(fraud.transaction.id, 'CONFIRMED_FRAUD');
+        await label(roundUsd.transaction.id, 'FALSE_POSITIVE');
+        await label(eur.transaction.id, 'CONFIRMED_FRAUD');
+
+        const { rulePrecision } = await fraudService.getStats();
+        expect(rulePrecision.HIGH_AMOUNT_NON_USA).toEqual({
+            hits: 2,
+            confirmedFraud: 2,
+            falsePositive: 0,
+            precision: 1,
+            confirmedFraudAmount: 6500 + eur.transaction.normalizedAmount
+        });
+        // EUR 7000 is not round once normalized, so ROUND_AMOUNT only hit the two USD transactions
+        expect(rulePrecision.ROUND_AMOUNT).toEqual({
+            hits: 2,
+            confirmedFraud: 0,
+            falsePositive: 1,
+            precision: 0,
+            confirmedFraudAmount: 0
+        });
+    });
+
+    test('should leave precision null until a hit is labelled', async () => {
+        await fraudService.processTransaction(createTransaction());
+
+        const { rulePrecision } = await fraudService.getStats();
+        expect(rulePrecision.HIGH_AMOUNT_NON_USA).toMatchObject({ hits: 1, precision: null });
+    });
+
+    test('should export rule feedback as Prometheus gauges', async () => {
+        const { transaction } = await fraudService.processTransaction(createTransaction());
+        await label(transaction.id, 'FALSE_POSITIVE');
+
+        const output = await metrics.getMetrics();
+        expect(output).toContain('rule_precision{rule="HIGH_AMOUNT_NON_USA"} 0');
+        expect(output).toContain('rule_labelled_hits{rule="HIGH_AMOUNT_NON_USA",label="false_positive"} 1');
+        expect(output).toContain('rule_hits{rule="HIGH_AMOUNT_NON_USA"} 1');
+    });
+});
+
+describe('Case persistence', () => {
+    let dbPath;
+
+    beforeEach(() => {
+        dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fraud-cases-')), 'fraud.db');
+    });
+
+    afterEach(() => {
+        fs.rmSync(path.dirname(dbPath), { recursive: true, force: true });
+    });
+
+    test('should keep cases, notes and history across service restarts', async () => {
+        const first = new FraudDetectionService({ store: new SqliteFraudStore({ dbPath }) });
+        await first.initialize();
+        const { transaction } = await first.processTransaction(createTransaction());
+        await first.getCaseManager().transition(transaction.id, { status: 'IN_REVIEW', actor: 'alice' });
+        await first.getCaseManager().addNote(transaction.id, { author: 'alice', text: 'Looks like card testing' });
+        await first.close();
+
+        const second = new FraudDetectionService({ store: new SqliteFraudStore({ dbPath }) });
+        await second.initialize();
+        const fraudCase = await second.getCaseManager().get(transaction.id);
+        const inReview = await second.getCaseManager().list({ status: 'IN_REVIEW' });
+        await second.close();
+
+        expect(fraudCase).toMatchObject({ status: 'IN_REVIEW', notes: [expect.objectContaining({ author: 'alice' })] });
+        expect(fraudCase.history).toHaveLength(2);
+        expect(inReview).toHaveLength(1);
+    });
+
+    test('should apply concurrent updates to a case one at a time', async () => {
+        const service = new FraudDetectionService({ store: new SqliteFraudStore({ dbPath }) });
+        await service.initialize();
+        const { transaction } = await service.processTransaction(createTransaction());
+        const cases = service.getCaseManager();
+        await cases.transition(transaction.id, { status: 'IN_REVIEW', actor: 'alice' });
+
+        await Promise.all([1, 2, 3, 4, 5].map(n => cases.addNote(transaction.id, { author: 'alice', text: `Note ${n}` })));
+        const outcomes = await Promise.allSettled([
+            cases.transition(transaction.id, { status: 'FALSE_POSITIVE', actor: 'alice' }),
+            cases.transition(transaction.id, { status: 'OPEN', actor: 'bob' })
+        ]);
+        const fraudCase = await cases.get(transaction.id);
+        await service.close();
+
+        expect(fraudCase.notes.map(note => note.text)).toEqual(['Note 1', 'Note 2', 'Note 3', 'Note 4', 'Note 5']);
+        expect(outcomes.map(outcome => outcome.status)).toEqual(['fulfilled', 'rejected']);
+        expect(outcomes[1].reason.statusCode).toBe(409);
+        expect(fraudCase.status).toBe('FALSE_POSITIVE');
+        expect(fraudCase.history.map(entry => entry.to)).toEqual(['OPEN', 'IN_REVIEW', 'FALSE_POSITIVE']);
+    });
+});
@@ -0,0 +1,160 @@
+const express = require('express');
+const request = require('supertest');
+const KafkaConsumer = require('../src/kafka/consumer');
+const RejectedMessageSink = require('../src/kafka/rejectedMessageSink');
+const feedbackRoutes = require('../src/routes/feedbackRoutes');
+const metrics = require('../src/utils/metrics');
+
+const createTransaction = (overrides = {}) => ({
+    transactionId: 'txn_1',
+    userId: 'user_1',
+    amount: 6500,
+    location: 'Nigeria',
+    timestamp: '2025-01-15T10:30:00Z',
+    ...overrides
+});
+
+const createMessage = (value, offset = '7') => ({
+    key: Buffer.from('txn_1'),
+    value: Buffer.from(JSON.stringify(value)),
+    headers: {},
+    offset
+});
+
+describe('Chargeback ingestion', () => {
+    let kafkaConsumer;
+    let fraudService;
+    let app;
+
+    beforeEach(async () => {
+        kafkaConsumer = new KafkaConsumer();
+        kafkaConsumer.producer.send = jest.fn().mockResolvedValue([]);
+        fraudService = kafkaConsumer.getFraudDetectionService();
+        await fraudService.initialize();
+
+        app = express();
+        app.set('fraudDetectionService', fraudService);
+        app.use('/', feedbackRoutes);
+    });
+
+    test('should label the case of a flagged transaction as confirmed fraud', async () => {
+        const { transaction } = await fraudService.processTransaction(createTransaction());
+
+        await kafkaConsumer.handleMessage(
+            createMessage({ transactionId: 'txn_1', type: 'chargeback', reasonCode: '10.4' }),
+            'chargebacks'
+        );
+
+        const fraudCase = await fraudService.getCaseManager().get(transaction.id);
+        expect(fraudCase).toMatchObject({ status: 'CONFIRMED_FRAUD', resolution: 'CONFIRMED_FRAUD' });
+        expect(fraudCase.history[1]).toMatchObject({ from: 'OPEN', to: 'CONFIRMED_FRAUD', actor: 'chargeback', reason: 'chargeback 10.4' });
+        expect((await fraudService.getStats()).recall).toEqual({
+            confirmedFraud: 1,
+            caught: 1,
+            missed: 0,
+            recall: 1,
+            missedAmount: 0
+        });
+    });
+
+    test('should override an analyst false positive and ignore repeated confirmations', async () => {
+        const { transaction } = await fraudService.processTransaction(createTransaction());
+        const cases = fraudService.getCaseManager();
+        await cases.transition(transaction.id, { status: 'IN_REVIEW', actor: 'alice' });
+        await cases.transition(transaction.id, { status: 'FALSE_POSITIVE', actor: 'alice' });
+
+        const first = await fraudService.processChargeback({ transactionId: 'txn_1', type: 'fraud_confirmation' });
+        const second = await fraudService.processChargeback({ transactionId: 'txn_1' });
+
+        expect(first.outcome).toBe('labelled');
+        expect(second.outcome).toBe('already_labelled');
+        expect((await cases.get(transaction.id)).history).toHaveLength(4);
+    });
+
+    test('should match chargebacks with numeric ids', async () => {
+        const { transaction } = await fraudService.processTransaction(createTransaction({ transactionId: 42, userId: 7 }));
+
+        const labelled = await fraudService.processChargeback({ transactionId: 42, userId: 7 });
+        const missed = await fraudService.processChargeback({ transactionId: 43, userId: 7 });
+
+        expect(labelled).toMatchObject({ outcome: 'labelled', transactionId: '42', caseIds: [transaction.id] });
+        expect(missed).toMatchObject({ outcome: 'missed', miss: { transactionId: '43', userId: '7' } });
+        expect((await fraudService.getCaseManager().get(transaction.id)).resolution).toBe('CONFIRMED_FRAUD');
+    });
+
+    test('should record confirmed frauds that no rule caught as misses', async () => {
+        await fraudService.processTransaction(createTransaction({ amount: 40, location: 'USA' }));
+        await fraudService.processTransaction(createTransaction({ transactionId: 'txn_2', userId: 'user_2' }));
+        await fraudService.processChargeback({ transactionId: 'txn_2' });
+
+        const result = await fraudService.processChargeback({
+            transactionId: 'txn_1',
+            userId: 'user_1',
+            amount: 40,
+            currency: 'USD',
+            reportedAt: '2025-02-01T00:00:00Z'
+        });
+        expect(result.outcome).toBe('missed');
+
+        const response = await request(app).get('/misses');
+        expect(response.status).toBe(200);
+        expect(response.body.data).toEqual([expect.objectContaining({
+            transactionId: 'txn_1',
+            type: 'chargeback',
+            normalizedAmount: 40,
+            reportedAt: '2025-02-01T00:00:00.000Z'
+        })]);
+        expect(response.body.recall).toMatchObject({ confirmedFraud: 2, caught: 1, missed: 1, recall: 0.5, missedAmount: 40 });
+
+        // A repeated chargeback for the same transaction is still one miss
+        await fraudService.processChargeback({ transactionId: 'txn_1' });
+        expect(await fraudService.getMisses()).toHaveLength(1);
+
+        const output = await metrics.getMetrics();
+        expect(output).toContain('fraud_recall 0.5');
+        expect(output).toContain('confirmed_frauds{outcome="missed"} 1');
+    });
+
+    test('should reject invalid chargeback events without retrying', async () => {
+        jest.useFakeTimers();
+        try {
+            const message = createMessage({ type: 'refund' });
+            const error = await kafkaConsumer.handleMessage(message, 'chargebacks').catch(caught => caught);
+            expect(error.retryable).toBe(false);
+            expect(error.errors.map(({ path, code }) => [path, code])).toEqual([
+                ['/transactionId', 'required'],
+                ['/type', 'invalid_value']
+            ]);
+
+            await kafkaConsumer.addToRetryQueue(message, 0, { topic: 'chargebacks', partition: 0, error });
+            await jest.runAllTimersAsync();
+
+            expect(kafkaConsumer.producer.send).toHaveBeenCalledTimes(1);
+            const { topic, messages } = kafkaConsumer.producer.send.mock.calls[0][0];
+            expect(topic).toBe('transactions-rejected');
+            expect(messages[0].headers[RejectedMessageSink.HEADERS.originalTopic]).toBe('chargebacks');
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('should retry chargebacks through the chargeback processor', async () => {
+        jest.useFakeTimers();
+        try {
+            await fraudService.processTransaction(createTransaction());
+            const processChargeback = jest.spyOn(fraudService, 'processChargeback');
+
+            await kafkaConsumer.addToRetryQueue(createMessage({ transactionId: 'txn_1' }), 0, {
+                topic: 'chargebacks',
+                partition: 0,
+                error: new Error('Database locked')
+            });
+            await jest.runAllTimersAsync();
+
+            expect(processChargeback).toHaveBeenCalledTimes(1);
+            expect((await fraudService.getRecall()).caught).toBe(1);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
@@ -0,0 +1,234 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const KafkaConsumer = require('../src/kafka/consumer');
+const DeadLetterQueue = require('../src/kafka/deadLetterQueue');
+const RejectedMessageSink = require('../src/kafka/rejectedMessageSink');
+const deadLetterRoutes = require('../src/routes/deadLetterRoutes');
+const { SqliteFraudStore } = require('../src/storage');
+
+const createMessage = (value, offset = '42') => ({
+    key: Buffer.from('user_1'),
+    value: Buffer.from(value),
+    headers: { source: Buffer.from('core-banking') },
+    offset
+});
+
+const validTransaction = JSON.stringify({
+    transactionId: 'txn_1',
+    userId: 'user_1',
+    amount: 100,
+    location: 'USA',
+    timestamp: '2025-01-15T10:30:00Z'
+});
+
+describe('Dead-letter queue', () => {
+    let kafkaConsumer;
+    let app;
+
+    beforeEach(() => {
+        kafkaConsumer = new KafkaConsumer();
+        kafkaConsumer.producer.send = jest.fn().mockResolvedValue([]);
+
+        app = express();
+        app.set('kafkaConsumer', kafkaConsumer);
+        app.use('/', deadLetterRoutes);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should publish to the DLQ topic with failure headers once retries are exhausted', async () => {
+        const message = createMessage('{not json');
+
+        await kafkaConsumer.addToRetryQueue(message, kafkaConsumer.maxRetries, {
+            topic: 'transactions',
+            partition: 3,
+            error: new Error('Unexpected token n')
+        });
+
+        expect(kafkaConsumer.producer.send).toHaveBeenCalledTimes(1);
+        const { topic, messages } = kafkaConsumer.producer.send.mock.calls[0][0];
+        expect(topic).toBe('transactions-dlq');
+        expect(messages[0].value).toBe(message.value);
+        expect(messages[0].headers).toMatchObject({
+            source: message.headers.source,
+            [DeadLetterQueue.HEADERS.originalTopic]: 'transactions',
+            [DeadLetterQueue.HEADERS.originalPartition]: '3',
+            [DeadLetterQueue.HEADERS.originalOffset]: '42',
+            [DeadLetterQueue.HEADERS.errorMessage]: 'Unexpected token n',
+            [DeadLetterQueue.HEADERS.retryCount]: '3'
+        });
+    });
+
+    test('should dead-letter a poison message after every retry fails', async () => {
+        jest.useFakeTimers();
+        jest.spyOn(kafkaConsumer.getFraudDetectionService(), 'processTransaction')
+            .mockRejectedValue(new Error('Database locked'));
+
+        await kafkaConsumer.addToRetryQueue(createMessage(validTransaction), 0, { topic: 'transactions', partition: 0 });
+        await jest.runAllTimersAsync();
+
+        expect(kafkaConsumer.producer.send).toHaveBeenCalledTimes(1);
+        expect((await kafkaConsumer.getDeadLetterQueue().list())[0]).toMatchObject({
+            retryCount: 3,
+            published: true,
+            status: 'DEAD_LETTERED'
+        });
+    });
+
+    test('should send schema failures to the rejected topic without retrying', async () => {
+        jest.useFakeTimers();
+        const message = createMessage(JSON.stringify({ transactionId: 'txn_1', userId: 'user_1', amount: -5 }));
+
+        await expect(kafkaConsumer.processMessage(message)).rejects.toThrow('Missing required fields: location, timestamp');
+        const error = await kafkaConsumer.processMessage(message).catch(caught => caught);
+        await kafkaConsumer.addToRetryQueue(message, 0, { topic: 'transactions', partition: 1, error });
+        await jest.runAllTimersAsync();
+
+        expect(kafkaConsumer.producer.send).toHaveBeenCalledTimes(1);
+        const { topic, messages } = kafkaConsumer.producer.send.mock.calls[0][0];
+        expect(topic).toBe('transactions-rejected');
+        expect(messages[0].value).toBe(message.value);
+        expect(messages[0].headers).toMatchObject({
+            source: message.headers.source,
+            [RejectedMessageSink.HEADERS.originalTopic]: 'transactions',
+            [RejectedMessageSink.HEADERS.originalPartition]: '1',
+            [RejectedMessageSink.HEADERS.originalOffset]: '42'
+        });
+        expect(JSON.parse(messages[0].headers[RejectedMessageSink.HEADERS.validationErrors])).toEqual([
+            { path: '/location', code: 'required', message: 'Missing required field: location' },
+            { path: '/timestamp', code: 'required', message: 'Missing required field: timestamp' },
+            { path: '/amount', code: 'out_of_range', message: 'Amount must be a positive number' }
+        ]);
+        expect(await kafkaConsumer.getDeadLetterQueue().list()).toHaveLength(0);
+    });
+
+    test('should send malformed JSON to the rejected topic without retrying', async () => {
+        jest.useFakeTimers();
+        const message = createMessage('{not json');
+
+        const error = await kafkaConsumer.processMessage(message).catch(caught => caught);
+        expect(error.retryable).toBe(false);
+        expect(error.errors).toEqual([expect.objectContaining({ path: '', code: 'invalid_json' })]);
+
+        await kafkaConsumer.addToRetryQueue(message, 0, { topic: 'transactions', partition: 0, error });
+        await jest.runAllTimersAsync();
+
+        expect(kafkaConsumer.producer.send).toHaveBeenCalledTimes(1);
+        expect(kafkaConsumer.producer.send.mock.calls[0][0].topic).toBe('transactions-rejected');
+        expect(await kafkaConsumer.getDeadLetterQueue().list()).toHaveLength(0);
+    });
+
+    test('should keep the message when the DLQ publish fails', async () => {
+        kafkaConsumer.producer.send.mockRejectedValue(new Error('broker down'));
+
+        await kafkaConsumer.addToRetryQueue(createMessage('{}'), 3, { topic: 'transactions' });
+
+        expect((await kafkaConsumer.getDeadLetterQueue().list())[0].published).toBe(false);
+    });
+
+    test('should list, inspect and re-drive dead-lettered messages', async () => {
+        await kafkaConsumer.addToRetryQueue(createMessage(validTransaction), 3, {
+            topic: 'transactions',
+            partition: 0,
+            error: new Error('Database locked')
+        });
+
+        const list = await request(app).get('/admin/dlq');
+        expect(list.status).toBe(200);
+        expect(list.body.count).toBe(1);
+        expect(list.body.data[0].message).toBeUndefined();
+
+        const { id } = list.body.data[0];
+        const inspect = await request(app).get(`/admin/dlq/${id}`);
+        expect(inspect.body.data.message).toMatchObject({
+            key: 'user_1',
+            value: validTransaction,
+            headers: { source: 'core-banking' }
+        });
+
+        const redrive = await request(app).post(`/admin/dlq/${id}/redrive`);
+        expect(redrive.status).toBe(200);
+        expect(redrive.body.data.status).toBe('REDRIVEN');
+
+        const again = await request(app).post(`/admin/dlq/${id}/redrive`);
+        expect(again.status).toBe(409);
+    });
+
+    test('should report failed re-drives and unknown ids', async () => {
+        await kafkaConsumer.addToRetryQueue(createMessage('{not json'), 3, { topic: 'transactions' });
+        const [{ id }] = await kafkaConsumer.getDeadLetterQueue().list();
+
+        const redrive = await request(app).post(`/admin/dlq/${id}/redrive`);
+        expect(redrive.status).toBe(422);
+        expect((await kafkaConsumer.getDeadLetterQueue().get(id)).status).toBe('DEAD_LETTERED');
+
+        expect((await request(app).get('/admin/dlq/unknown')).status).toBe(404);
+    });
+
+    test('should re-drive a message once when re-drives race', async () => {
+        await kafkaConsumer.addToRetryQueue(createMessage(validTransaction), 3, { topic: 'transactions' });
+        const [{ id }] = await kafkaConsumer.getDeadLetterQueue().list();
+        const processTransaction = jest.spyOn(kafkaConsumer.getFraudDetectionService(), 'processTransaction');
+
+        const responses = await Promise.all([
+            request(app).post(`/admin/dlq/${id}/redrive`),
+            request(app).post(`/admin/dlq/${id}/redrive`)
+        ]);
+
+        expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+        expect(processTransaction).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('Dead-letter persistence', () => {
+    let dbPath;
+
+    beforeEach(() => {
+        dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fraud-dlq-')), 'fraud.db');
+    });
+
+    afterEach(() => {
+        fs.rmSync(path.dirname(dbPath), { recursive: true, force: true });
+    });
+
+    test('should list and re-drive messages dead-lettered before a restart', async () => {
+        const producer = { send: jest.fn().mockResolvedValue([]) };
+        const firstStore = new SqliteFraudStore({ dbPath });
+        const first = new DeadLetterQueue(producer, { store: firstStore });
+        const { id } = await first.publish(createMessage(validTransaction), { topic: 'transactions', partition: 2 });
+        await firstStore.close();
+
+        const secondStore = new SqliteFraudStore({ dbPath });
+        const second = new DeadLetterQueue(producer, { store: secondStore });
+        const listed = await second.list();
+        const processMessage = jest.fn().mockResolvedValue();
+        const redriven = await second.redrive(id, processMessage);
+        const stored = await second.get(id);
+        await secondStore.close();
+
+        expect(listed).toEqual([expect.objectContaining({ id, originalTopic: 'transactions', status: 'DEAD_LETTERED' })]);
+        expect(processMessage).toHaveBeenCalledWith(expect.objectContaining({ offset: '42' }), 'transactions');
+        expect(processMessage.mock.calls[0][0].value.toString()).toBe(validTransaction);
+        expect(processMessage.mock.calls[0][0].headers.source.toString()).toBe('core-banking');
+        expect(redriven.status).toBe('REDRIVEN');
+        expect(stored.status).toBe('REDRIVEN');
+    });
+
+    test('should keep only the most recent DLQ_RETAINED_MESSAGES', async () => {
+        const store = new SqliteFraudStore({ dbPath });
+        const deadLetterQueue = new DeadLetterQueue({ send: jest.fn().mockResolvedValue([]) }, { store, limit: 2 });
+
+        for (const offset of ['1', '2', '3']) {
+            await deadLetterQueue.publish(createMessage(validTransaction, offset), { topic: 'transactions' });
+        }
+        const entries = await deadLetterQueue.list();
+        await store.close();
+
+        expect(entries.map(entry => entry.originalOffset)).toEqual(['3', '2']);
+    });
+});
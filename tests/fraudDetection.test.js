@@ -1,5 +1,7 @@
 const Transaction = require('../src/models/transaction');
 const FraudDetectionService = require('../src/services/fraudDetectionService');
+const { validateTransactionSchema } = require('../src/models/transactionSchema');
+const { ValidationError } = require('../src/utils/errors');
 
 describe('Transaction Model', () => {
     describe('Validation', () => {
@@ -61,6 +63,119 @@ describe('Transaction Model', () => {
 
             expect(() => Transaction.validate(invalidData)).toThrow('Invalid timestamp format');
         });
+
+        test('should report every invalid field with a path and code', () => {
+            let thrown;
+            try {
+                Transaction.validate({
+                    transactionId: 'txn_123',
+                    amount: '100',
+                    location: 'USA',
+                    timestamp: 'invalid-timestamp',
+                    channel: 'FAX'
+                });
+            } catch (error) {
+                thrown = error;
+            }
+
+            expect(thrown).toBeInstanceOf(ValidationError);
+            expect(thrown.statusCode).toBe(400);
+            expect(thrown.retryable).toBe(false);
+            expect(thrown.errors).toEqual(expect.arrayContaining([
+                { path: '/userId', code: 'required', message: 'Missing required field: userId' },
+                { path: '/amount', code: 'invalid_type', message: 'Amount must be a positive number' },
+                { path: '/timestamp', code: 'invalid_format', message: 'Invalid timestamp format' },
+                { path: '/channel', code: 'invalid_value', message: 'Channel must be one of POS, ECOM, ATM' }
+            ]));
+            expect(thrown.errors).toHaveLength(4);
+            expect(thrown.message).toMatch(/^Missing required fields: userId; /);
+        });
+
+        test('should accept numeric ids and epoch millisecond timestamps', () => {
+            const baselinePayload = {
+                transactionId: 123,
+                userId: 456,
+                amount: 1000,
+                location: 'USA',
+                timestamp: Date.UTC(2025, 0, 15, 10, 30)
+            };
+
+            expect(() => Transaction.validate(baselinePayload)).not.toThrow();
+            expect(new Transaction(baselinePayload).toJSON().timestamp).toBe('2025-01-15T10:30:00.000Z');
+            expect(validateTransactionSchema({ ...baselinePayload, transactionId: true, timestamp: 1e16 })
+                .map(({ path, code }) => [path, code])).toEqual([
+                ['/transactionId', 'invalid_type'],
+                ['/timestamp', 'out_of_range']
+            ]);
+        });
+
+        test('should reject a payload that is not an object', () => {
+            expect(validateTransactionSchema(['txn_123'])).toEqual([
+                { path: '', code: 'invalid_type', message: 'Transaction must be a JSON object' }
+            ]);
+        });
+    });
+
+    describe('Coordinates', () => {
+        const validData = {
+            transactionId: 'txn_123',
+            userId: 'user_456',
+            amount: 100,
+            location: 'USA',
+            timestamp: '2025-01-15T10:30:00Z'
+        };
+
+        test('should accept an optional latitude and longitude pair', () => {
+            expect(Transaction.validate({ ...validData, latitude: 40.71, longitude: -74.01 })).toBe(true);
+            expect(() => Transaction.validate({ ...validData, latitude: 40.71 }))
+                .toThrow('Latitude and longitude must be provided together');
+            expect(() => Transaction.validate({ ...validData, latitude: 91, longitude: 0 }))
+                .toThrow('Latitude must be a number between -90 and 90');
+        });
+    });
+
+    describe('Extended Fields', () => {
+        const validData = {
+            transactionId: 'txn_123',
+            userId: 'user_456',
+            amount: 100,
+            location: 'USA',
+            timestamp: '2025-01-15T10:30:00Z',
+            schemaVersion: 2,
+            currency: 'EUR',
+            merchantId: 'merchant_1',
+            merchantCategoryCode: '5411',
+            channel: 'ECOM',
+            cardBin: '411111',
+            cardLast4: '1111',
+            deviceId: 'device_1',
+            ipAddress: '203.0.113.7'
+        };
+
+        test('should validate and keep optional fields', () => {
+            expect(Transaction.validate(validData)).toBe(true);
+            expect(new Transaction(validData).toJSON()).toMatchObject({
+                ...validData,
+                timestamp: '2025-01-15T10:30:00.000Z'
+            });
+        });
+
+        test('should default to schema version 1 and omit absent fields', () => {
+            const { schemaVersion, currency, channel, ...legacy } = validData;
+            const json = new Transaction({ ...legacy, merchantId: undefined }).toJSON();
+
+            expect(json.schemaVersion).toBe(1);
+            expect(json).not.toHaveProperty('currency');
+            expect(json).not.toHaveProperty('merchantId');
+        });
+
+        test('should reject malformed optional fields and unknown schema versions', () => {
+            expect(() => Transaction.validate({ ...validData, currency: 'euro' })).toThrow('ISO 4217');
+            expect(() => Transaction.validate({ ...validData, channel: 'MAIL' })).toThrow('Channel must be one of POS, ECOM, ATM');
+            expect(() => Transaction.validate({ ...validData, ipAddress: '300.1.1.1' })).toThrow('IP address');
+            expect(() => Transaction.validate({ ...validData, cardLast4: 1111 })).toThrow('Card last4');
+            expect(() => Transaction.validate({ ...validData, schemaVersion: 3 })).toThrow('Unsupported schemaVersion: 3');
+        });
     });
 
     describe('Fraud Rules', () => {
@@ -175,6 +290,20 @@ describe('FraudDetectionService', () => {
             expect(result.violations[0].rule).toBe('HIGH_AMOUNT_NON_USA');
         });
 
+        test('should evaluate baseline-shaped payloads with numeric ids and timestamps', async () => {
+            const result = await fraudService.processTransaction({
+                transactionId: 123,
+                userId: 456,
+                amount: 6500,
+                location: 'Nigeria',
+                timestamp: Date.UTC(2025, 0, 15, 10, 30)
+            });
+
+            expect(result.violations.map(v => v.rule)).toContain('HIGH_AMOUNT_NON_USA');
+            expect(result.transaction).toMatchObject({ transactionId: 123, userId: 456 });
+            expect(await fraudService.getFraudulentTransactionsByUserId(456)).toHaveLength(1);
+        });
+
         test('should throw error for invalid transaction data', async () => {
             const invalidData = {
                 transactionId: 'txn_123',
@@ -246,6 +375,55 @@ describe('FraudDetectionService', () => {
         });
     });
 
+    describe('Event-Time Velocity', () => {
+        const createTransaction = (transactionId, timestamp) => ({
+            transactionId,
+            userId: 'user_event_time',
+            amount: 100,
+            location: 'USA',
+            timestamp
+        });
+
+        test('should not flag a backfill whose events are spread out in time', async () => {
+            await fraudService.processTransaction(createTransaction('txn_1', '2025-01-15T10:30:00Z'));
+            const result = await fraudService.processTransaction(createTransaction('txn_2', '2025-01-15T10:31:00Z'));
+
+            expect(result.isSuspicious).toBe(false);
+        });
+
+        test('should flag a burst delivered out of order within the allowed lateness', async () => {
+            await fraudService.processTransaction(createTransaction('txn_1', '2025-01-15T10:30:05Z'));
+            const result = await fraudService.processTransaction(createTransaction('txn_2', '2025-01-15T10:30:00Z'));
+
+            expect(result.violations.map(v => v.rule)).toEqual(['RAPID_TRANSACTIONS']);
+        });
+
+        test('should count late events instead of evaluating them', async () => {
+            fraudService = new FraudDetectionService({ allowedLatenessSeconds: 30 });
+
+            await fraudService.processTransaction(createTransaction('txn_1', '2025-01-15T10:31:00Z'));
+            await fraudService.processTransaction(createTransaction('txn_2', '2025-01-15T10:31:02Z'));
+            const late = await fraudService.processTransaction(createTransaction('txn_3', '2025-01-15T10:30:00Z'));
+
+            expect(late.isSuspicious).toBe(false);
+            expect((await fraudService.getStats()).lateEvents).toBe(1);
+        });
+
+        test('should accept an allowed lateness of 0 from the environment', async () => {
+            process.env.VELOCITY_ALLOWED_LATENESS_SECONDS = '0';
+            try {
+                fraudService = new FraudDetectionService();
+            } finally {
+                delete process.env.VELOCITY_ALLOWED_LATENESS_SECONDS;
+            }
+            expect(fraudService.allowedLatenessSeconds).toBe(0);
+
+            await fraudService.processTransaction(createTransaction('txn_1', '2025-01-15T10:30:05Z'));
+            await fraudService.processTransaction(createTransaction('txn_2', '2025-01-15T10:30:00Z'));
+            expect((await fraudService.getStats()).lateEvents).toBe(1);
+        });
+    });
+
     describe('Data Retrieval', () => {
         beforeEach(async () => {
             // Add some test data
@@ -278,27 +456,27 @@ describe('FraudDetectionService', () => {
             }
         });
 
-        test('should return all fraudulent transactions', () => {
-            const allFrauds = fraudService.getAllFraudulentTransactions();
+        test('should return all fraudulent transactions', async () => {
+            const allFrauds = await fraudService.getAllFraudulentTransactions();
             expect(allFrauds).toHaveLength(3);
         });
 
-        test('should return fraudulent transactions by user ID', () => {
-            const userFrauds = fraudService.getFraudulentTransactionsByUserId('user_123');
+        test('should return fraudulent transactions by user ID', async () => {
+            const userFrauds = await fraudService.getFraudulentTransactionsByUserId('user_123');
             expect(userFrauds).toHaveLength(2);
             expect(userFrauds.every(t => t.userId === 'user_123')).toBe(true);
         });
 
-        test('should return fraudulent transactions by rule', () => {
-            const highAmountFrauds = fraudService.getFraudulentTransactionsByRule('HIGH_AMOUNT_NON_USA');
+        test('should return fraudulent transactions by rule', async () => {
+            const highAmountFrauds = await fraudService.getFraudulentTransactionsByRule('HIGH_AMOUNT_NON_USA');
             expect(highAmountFrauds).toHaveLength(2);
             expect(highAmountFrauds.every(t =>
                 t.violations.some(v => v.rule === 'HIGH_AMOUNT_NON_USA')
             )).toBe(true);
         });
 
-        test('should return correct statistics', () => {
-            const stats = fraudService.getStats();
+        test('should return correct statistics', async () => {
+            const stats = await fraudService.getStats();
 
             expect(stats.totalFraudulentTransactions).toBe(3);
             expect(stats.ruleBreakdown).toHaveProperty('HIGH_AMOUNT_NON_USA');
@@ -306,6 +484,108 @@ describe('FraudDetectionService', () => {
         });
     });
 
+    describe('Extended Fields', () => {
+        test('should carry optional fields through to fraud records', async () => {
+            await fraudService.processTransaction({
+                transactionId: 'txn_ext',
+                userId: 'user_ext',
+                amount: 7400,
+                location: 'Nigeria',
+                timestamp: '2025-01-15T10:30:00Z',
+                schemaVersion: 2,
+                channel: 'POS',
+                merchantCategoryCode: '6011'
+            });
+
+            const [record] = await fraudService.getFraudulentTransactionsByUserId('user_ext');
+            expect(record).toMatchObject({ schemaVersion: 2, channel: 'POS', merchantCategoryCode: '6011' });
+        });
+    });
+
+    describe('Deduplication', () => {
+        const transactionData = {
+            transactionId: 'txn_dup',
+            userId: 'user_dup',
+            amount: 7400,
+            location: 'Nigeria',
+            timestamp: '2025-01-15T10:30:00Z'
+        };
+
+        test('should replay the original decision for a redelivered transaction', async () => {
+            const first = await fraudService.processTransaction(transactionData);
+            const second = await fraudService.processTransaction(transactionData);
+
+            expect(second).toMatchObject({ duplicate: true, decision: first.decision, riskScore: first.riskScore });
+            expect(second.violations.map(v => v.rule)).toEqual(['HIGH_AMOUNT_NON_USA']);
+            expect(await fraudService.getAllFraudulentTransactions()).toHaveLength(1);
+        });
+
+        test('should evaluate concurrent deliveries once', async () => {
+            const results = await Promise.all([
+                fraudService.processTransaction(transactionData),
+                fraudService.processTransaction(transactionData)
+            ]);
+
+            expect(results.map(result => Boolean(result.duplicate))).toEqual([false, true]);
+            expect(await fraudService.getAllFraudulentTransactions()).toHaveLength(1);
+        });
+
+        test('should deduplicate across restarts through the fraud store', async () => {
+            const first = await fraudService.processTransaction(transactionData);
+            const cleanData = { ...transactionData, transactionId: 'txn_clean', userId: 'user_clean', amount: 100, location: 'USA' };
+            const clean = await fraudService.processTransaction(cleanData);
+
+            // A second instance on the same store has an empty cache
+            const restarted = new FraudDetectionService({ store: fraudService.store });
+            await restarted.initialize();
+
+            const replayed = await restarted.processTransaction(transactionData);
+            expect(replayed).toMatchObject({
+                duplicate: true,
+                isSuspicious: true,
+                decision: first.decision,
+                riskScore: first.riskScore,
+                ruleSetVersion: first.ruleSetVersion
+            });
+            expect(replayed.violations.map(v => v.rule)).toEqual(['HIGH_AMOUNT_NON_USA']);
+            expect(await restarted.processTransaction(cleanData))
+                .toMatchObject({ duplicate: true, isSuspicious: false, decision: clean.decision, violations: [] });
+            expect(await restarted.getAllFraudulentTransactions()).toHaveLength(1);
+        });
+
+        test('should keep only the decision in a capped cache', async () => {
+            fraudService = new FraudDetectionService({ dedupCacheSize: 1 });
+            await fraudService.processTransaction(transactionData);
+            await fraudService.processTransaction({ ...transactionData, transactionId: 'txn_dup_2' });
+
+            expect(fraudService.processedTransactions.keys()).toEqual(['txn_dup']);
+            expect(fraudService.processedTransactions.get('txn_dup')).toEqual({ decision: 'REVIEW', ruleSetVersion: '1' });
+            // Past the cap the fraud store still answers
+            expect((await fraudService.processTransaction({ ...transactionData, transactionId: 'txn_dup_2' })).duplicate).toBe(true);
+        });
+
+        test('should forget processed transactions after the retention', async () => {
+            fraudService = new FraudDetectionService({ dedupRetentionSeconds: 60 });
+            await fraudService.processTransaction(transactionData);
+            fraudService.processedTransactions.flushAll();
+
+            const later = Date.now() + 61000;
+            jest.spyOn(Date, 'now').mockReturnValue(later);
+            try {
+                expect((await fraudService.processTransaction(transactionData)).duplicate).toBeUndefined();
+            } finally {
+                Date.now.mockRestore();
+            }
+        });
+
+        test('should not record dry runs as processed', async () => {
+            await fraudService.processTransaction(transactionData, { dryRun: true });
+            const result = await fraudService.processTransaction(transactionData);
+
+            expect(result.duplicate).toBeUndefined();
+        });
+    });
+
     describe('Cache Management', () => {
         test('should clear cache', () => {
             fraudService.clearCache();
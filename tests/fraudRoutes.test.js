@@ -0,0 +1,235 @@
+const express = require('express');
+const request = require('supertest');
+const fraudRoutes = require('../src/routes/fraudRoutes');
+const FraudDetectionService = require('../src/services/fraudDetectionService');
+
+const createApp = (fraudService) => {
+    const app = express();
+    app.use(express.json());
+    app.set('fraudDetectionService', fraudService);
+    app.use('/', fraudRoutes);
+    return app;
+};
+
+describe('Fraud routes', () => {
+    let fraudService;
+    let app;
+
+    beforeEach(() => {
+        fraudService = new FraudDetectionService();
+        app = createApp(fraudService);
+    });
+
+    describe('Rule set administration', () => {
+        const strictRuleSet = {
+            version: 'strict-1',
+            rules: [
+                {
+                    name: 'ANY_AMOUNT_OVER_100',
+                    severity: 'HIGH',
+                    condition: { field: 'amount', operator: 'gt', value: 100 }
+                }
+            ]
+        };
+        const transaction = {
+            transactionId: 'txn_1',
+            userId: 'user_1',
+            amount: 250,
+            location: 'USA',
+            timestamp: '2025-01-15T10:30:00Z'
+        };
+
+        test('should list the rule set loaded from file as active', async () => {
+            const response = await request(app).get('/admin/rules');
+
+            expect(response.status).toBe(200);
+            expect(response.body.activeVersion).toBe('1');
+            expect(response.body.data[0]).toMatchObject({ version: '1', active: true });
+        });
+
+        test('should upload, activate and roll back rule sets', async () => {
+            const upload = await request(app).post('/admin/rules').send(strictRuleSet);
+            expect(upload.status).toBe(201);
+            expect(upload.body.data).toMatchObject({ version: 'strict-1', active: false });
+
+            const activate = await request(app).post('/admin/rules/strict-1/activate');
+            expect(activate.status).toBe(200);
+
+            const flagged = await fraudService.processTransaction(transaction);
+            expect(flagged.violations.map(v => v.rule)).toEqual(['ANY_AMOUNT_OVER_100']);
+            expect(flagged.transaction.ruleSetVersion).toBe('strict-1');
+
+            const rollback = await request(app).post('/admin/rules/rollback');
+            expect(rollback.status).toBe(200);
+            expect(rollback.body.data.version).toBe('1');
+
+            const clean = await fraudService.processTransaction({ ...transaction, transactionId: 'txn_2', userId: 'user_2' });
+            expect(clean.isSuspicious).toBe(false);
+            expect(clean.ruleSetVersion).toBe('1');
+        });
+
+        test('should assign the next version when none is given', async () => {
+            const { version, ...unversioned } = strictRuleSet;
+            const response = await request(app).post('/admin/rules?activate=true').send(unversioned);
+
+            expect(response.status).toBe(201);
+            expect(response.body.data).toMatchObject({ version: '2', active: true });
+        });
+
+        test('should reject invalid and duplicate rule sets', async () => {
+            const invalid = await request(app).post('/admin/rules').send({ rules: [{ name: 'NO_SEVERITY' }] });
+            expect(invalid.status).toBe(400);
+
+            const badPattern = await request(app).post('/admin/rules').send({
+                rules: [{ name: 'BAD_PATTERN', severity: 'LOW', condition: { field: 'userId', operator: 'matches', value: '(' } }]
+            });
+            expect(badPattern.status).toBe(400);
+            expect(badPattern.body.message).toContain('Rule BAD_PATTERN: invalid pattern');
+
+            const badValue = await request(app).post('/admin/rules').send({
+                rules: [{ name: 'BAD_VALUE', severity: 'LOW', condition: { field: 'amount', operator: 'divisibleBy', value: 0 } }]
+            });
+            expect(badValue.status).toBe(400);
+            expect(badValue.body.message).toContain('Rule BAD_VALUE: operator "divisibleBy" requires a non-zero value');
+
+            await request(app).post('/admin/rules').send(strictRuleSet);
+            const duplicate = await request(app).post('/admin/rules').send(strictRuleSet);
+            expect(duplicate.status).toBe(409);
+        });
+
+        test('should return 404 for unknown versions and 409 when nothing to roll back', async () => {
+            expect((await request(app).post('/admin/rules/missing/activate')).status).toBe(404);
+            expect((await request(app).get('/admin/rules/missing')).status).toBe(404);
+            expect((await request(app).post('/admin/rules/rollback')).status).toBe(409);
+        });
+    });
+
+    describe('Shadow rules', () => {
+        test('should record shadow hits without flagging the transaction', async () => {
+            const upload = await request(app).post('/admin/rules?activate=true').send({
+                version: 'shadow-1',
+                rules: [
+                    {
+                        name: 'SMALL_FOREIGN',
+                        mode: 'shadow',
+                        severity: 'MEDIUM',
+                        condition: { field: 'location', operator: 'neq', value: 'USA' }
+                    }
+                ]
+            });
+            expect(upload.status).toBe(201);
+
+            const result = await fraudService.processTransaction({
+                transactionId: 'txn_1',
+                userId: 'user_1',
+                amount: 42,
+                location: 'France',
+                timestamp: '2025-01-15T10:30:00Z'
+            });
+
+            expect(result.isSuspicious).toBe(false);
+            expect(result.violations).toHaveLength(0);
+            expect(await fraudService.getAllFraudulentTransactions()).toHaveLength(0);
+
+            const response = await request(app).get('/rules/SMALL_FOREIGN/shadow-hits');
+            expect(response.status).toBe(200);
+            expect(response.body.totalHits).toBe(1);
+            expect(response.body.data[0]).toMatchObject({
+                transactionId: 'txn_1',
+                liveResult: 'clean',
+                ruleSetVersion: 'shadow-1',
+                violation: { rule: 'SMALL_FOREIGN', severity: 'MEDIUM' }
+            });
+        });
+
+        test('should return no hits for a rule that never fired', async () => {
+            const response = await request(app).get('/rules/UNKNOWN/shadow-hits');
+
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ totalHits: 0, count: 0, data: [] });
+        });
+    });
+
+    describe('Risk decisions', () => {
+        beforeEach(async () => {
+            const base = { location: 'USA', timestamp: '2025-01-15T10:30:00Z' };
+
+            // ROUND_AMOUNT alone (20) approves, HIGH_AMOUNT_NON_USA + ROUND_AMOUNT (70) declines
+            await fraudService.processTransaction({ ...base, transactionId: 'txn_1', userId: 'user_1', amount: 2000 });
+            await fraudService.processTransaction({ ...base, transactionId: 'txn_2', userId: 'user_2', amount: 6000, location: 'Nigeria' });
+        });
+
+        test('should store the risk score and decision on fraud records', async () => {
+            const response = await request(app).get('/frauds');
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.map(t => [t.transactionId, t.riskScore, t.decision])).toEqual([
+                ['txn_1', 20, 'APPROVE'],
+                ['txn_2', 70, 'DECLINE']
+            ]);
+        });
+
+        test('should filter by decision and score range', async () => {
+            const byDecision = await request(app).get('/frauds?decision=decline');
+            expect(byDecision.body.data.map(t => t.transactionId)).toEqual(['txn_2']);
+
+            const byScore = await request(app).get('/frauds?minScore=10&maxScore=30');
+            expect(byScore.body.data.map(t => t.transactionId)).toEqual(['txn_1']);
+        });
+
+        test('should reject invalid filters', async () => {
+            expect((await request(app).get('/frauds?decision=MAYBE')).status).toBe(400);
+            expect((await request(app).get('/frauds?minScore=high')).status).toBe(400);
+        });
+    });
+
+    describe('Fraud queries', () => {
+        beforeEach(async () => {
+            const base = { timestamp: '2025-01-15T10:30:00Z' };
+
+            await fraudService.processTransaction({ ...base, transactionId: 'txn_1', userId: 'user_1', amount: 6000, location: 'Nigeria' });
+            await fraudService.processTransaction({ ...base, transactionId: 'txn_2', userId: 'user_2', amount: 3000, location: 'USA' });
+            await fraudService.processTransaction({ ...base, transactionId: 'txn_3', userId: 'user_1', amount: 8000, location: 'Nigeria' });
+        });
+
+        test('should paginate /frauds with a cursor', async () => {
+            const first = await request(app).get('/frauds?limit=2&sortBy=amount&order=desc');
+            expect(first.body.data.map(t => t.transactionId)).toEqual(['txn_3', 'txn_1']);
+            expect(first.body.nextCursor).toEqual(expect.any(String));
+
+            const second = await request(app).get(`/frauds?limit=2&sortBy=amount&order=desc&cursor=${first.body.nextCursor}`);
+            expect(second.body.data.map(t => t.transactionId)).toEqual(['txn_2']);
+            expect(second.body.nextCursor).toBeNull();
+        });
+
+        test('should combine filters on /frauds', async () => {
+            const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+            const response = await request(app).get(`/frauds?severity=high&location=Nigeria&from=${since}&maxAmount=7000`);
+
+            expect(response.body.data.map(t => t.transactionId)).toEqual(['txn_1']);
+        });
+
+        test('should apply filters to /frauds/:userId and /frauds/rule/:rule', async () => {
+            const byUser = await request(app).get('/frauds/user_1?minAmount=7000');
+            expect(byUser.body.data.map(t => t.transactionId)).toEqual(['txn_3']);
+
+            const byRule = await request(app).get('/frauds/rule/ROUND_AMOUNT?location=USA');
+            expect(byRule.body.data.map(t => t.transactionId)).toEqual(['txn_2']);
+        });
+
+        test('should find records stored with numeric ids by their route params', async () => {
+            await fraudService.processTransaction({ transactionId: 42, userId: 123, amount: 6000, location: 'Nigeria', timestamp: '2025-01-15T10:30:00Z' });
+
+            const byUser = await request(app).get('/frauds/123');
+            expect(byUser.body.data.map(t => t.transactionId)).toEqual([42]);
+        });
+
+        test('should reject invalid query parameters', async () => {
+            expect((await request(app).get('/frauds?limit=0')).status).toBe(400);
+            expect((await request(app).get('/frauds?sortBy=userId')).status).toBe(400);
+            expect((await request(app).get('/frauds?from=yesterday')).status).toBe(400);
+            expect((await request(app).get('/frauds?severity=EXTREME')).status).toBe(400);
+            expect((await request(app).get('/frauds?cursor=bogus')).status).toBe(400);
+        });
+    });
+});
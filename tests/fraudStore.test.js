@@ -0,0 +1,326 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryFraudStore, SqliteFraudStore } = require('../src/storage');
+const FraudDetectionService = require('../src/services/fraudDetectionService');
+
+const createRecord = (overrides = {}) => ({
+    transactionId: 'txn_1',
+    userId: 'user_1',
+    amount: 6000,
+    location: 'Nigeria',
+    timestamp: '2025-01-15T10:30:00.000Z',
+    detectedAt: '2025-01-15T10:30:01.000Z',
+    violations: [
+        { rule: 'HIGH_AMOUNT_NON_USA', description: 'Amount > $5000', severity: 'HIGH' },
+        { rule: 'RAPID_TRANSACTIONS', description: 'Burst', severity: 'HIGH', transactionCount: 2 }
+    ],
+    isSuspicious: true,
+    riskScore: 90,
+    decision: 'DECLINE',
+    ruleSetVersion: '1',
+    ...overrides
+});
+
+describe.each([
+    ['MemoryFraudStore', () => new MemoryFraudStore()],
+    ['SqliteFraudStore', () => new SqliteFraudStore({ dbPath: ':memory:' })]
+])('%s', (name, createStore) => {
+    let store;
+
+    beforeEach(async () => {
+        store = createStore();
+        await store.initialize();
+
+        await store.saveFraudRecord(createRecord());
+        await store.saveFraudRecord(createRecord({
+            transactionId: 'txn_2',
+            userId: 'user_2',
+            violations: [{ rule: 'ROUND_AMOUNT', description: 'Round', severity: 'MEDIUM' }],
+            riskScore: 20,
+            decision: 'APPROVE'
+        }));
+    });
+
+    afterEach(async () => {
+        await store.close();
+    });
+
+    test('should round-trip records with their violations', async () => {
+        const [record] = await store.getByUserId('user_1');
+
+        expect(record).toEqual({ ...createRecord(), id: expect.any(Number) });
+    });
+
+    test('should query by rule and decision filters', async () => {
+        expect((await store.getByRule('ROUND_AMOUNT')).map(r => r.transactionId)).toEqual(['txn_2']);
+        expect((await store.getAll({ decision: 'DECLINE' })).map(r => r.transactionId)).toEqual(['txn_1']);
+        expect((await store.getAll({ minScore: 10, maxScore: 50 })).map(r => r.transactionId)).toEqual(['txn_2']);
+    });
+
+    test('should filter by amount, location, severity and time range', async () => {
+        await store.saveFraudRecord(createRecord({
+            transactionId: 'txn_3',
+            amount: 9100,
+            detectedAt: '2025-01-16T08:00:00.000Z',
+            violations: [{ rule: 'ROUND_AMOUNT', description: 'Round', severity: 'MEDIUM' }]
+        }));
+
+        const page = await store.query({
+            location: 'nigeria',
+            severity: 'HIGH',
+            minAmount: 5000,
+            from: '2025-01-15T00:00:00.000Z',
+            to: '2025-01-15T23:59:59.999Z'
+        });
+        expect(page.data.map(r => r.transactionId)).toEqual(['txn_1']);
+
+        const byAmount = await store.query({ minAmount: 6500, maxAmount: 9500 });
+        expect(byAmount.data.map(r => r.transactionId)).toEqual(['txn_3']);
+    });
+
+    test('should filter and sort amounts in the base currency across currencies', async () => {
+        await store.saveFraudRecord(createRecord({ transactionId: 'txn_jpy', userId: 'fx', amount: 10000, currency: 'JPY', normalizedAmount: 66.67 }));
+        await store.saveFraudRecord(createRecord({ transactionId: 'txn_usd', userId: 'fx', amount: 50, currency: 'USD', normalizedAmount: 50 }));
+        await store.saveFraudRecord(createRecord({ transactionId: 'txn_eur', userId: 'fx', amount: 100, currency: 'EUR', normalizedAmount: 108.5 }));
+
+        const overFifty = await store.query({ userId: 'fx', minAmount: 60 });
+        expect(overFifty.data.map(r => r.transactionId)).toEqual(['txn_jpy', 'txn_eur']);
+        expect((await store.getAll({ userId: 'fx', maxAmount: 70 })).map(r => r.transactionId)).toEqual(['txn_jpy', 'txn_usd']);
+
+        const first = await store.query({ userId: 'fx', sortBy: 'amount', order: 'desc', limit: 2 });
+        const second = await store.query({ userId: 'fx', sortBy: 'amount', order: 'desc', limit: 2, cursor: first.nextCursor });
+        expect([...first.data, ...second.data].map(r => r.transactionId)).toEqual(['txn_eur', 'txn_jpy', 'txn_usd']);
+    });
+
+    test('should page through results with a cursor', async () => {
+        for (const [index, amount] of [100, 300, 300, 200].entries()) {
+            await store.saveFraudRecord(createRecord({ transactionId: `txn_page_${index}`, userId: 'pager', amount }));
+        }
+
+        const seen = [];
+        let cursor;
+        do {
+            const page = await store.query({ userId: 'pager', sortBy: 'amount', order: 'desc', limit: 3, cursor });
+            seen.push(...page.data.map(r => r.amount));
+            cursor = page.nextCursor;
+        } while (cursor);
+
+        expect(seen).toEqual([300, 300, 200, 100]);
+    });
+
+    test('should reject cursors issued for another sort order', async () => {
+        const page = await store.query({ limit: 1 });
+
+        await expect(store.query({ sortBy: 'amount', cursor: page.nextCursor })).rejects.toThrow('different sort order');
+        await expect(store.query({ cursor: 'garbage' })).rejects.toThrow('Invalid cursor');
+    });
+
+    test('should keep the first decision per processed transaction and prune old ones', async () => {
+        await store.saveProcessedTransaction({ transactionId: 42, decision: 'DECLINE', ruleSetVersion: '1', processedAt: '2025-01-15T10:30:00.000Z' });
+        await store.saveProcessedTransaction({ transactionId: '42', decision: 'APPROVE', ruleSetVersion: '2', processedAt: '2025-01-15T10:31:00.000Z' });
+        await store.saveProcessedTransaction({ transactionId: 'txn_9', decision: 'APPROVE', ruleSetVersion: '1', processedAt: '2025-01-16T10:30:00.000Z' });
+
+        expect(await store.getProcessedTransaction('42')).toEqual({
+            transactionId: '42',
+            decision: 'DECLINE',
+            ruleSetVersion: '1',
+            processedAt: '2025-01-15T10:30:00.000Z'
+        });
+        expect(await store.deleteProcessedTransactions('2025-01-16T00:00:00.000Z')).toBe(1);
+        expect(await store.getProcessedTransaction(42)).toBeNull();
+        expect(await store.getProcessedTransaction('txn_9')).not.toBeNull();
+    });
+
+    test('should aggregate case outcomes per rule', async () => {
+        const createCase = (id, rules, resolution, amount) => ({
+            id, rules, resolution, amount, status: resolution || 'OPEN', assignee: null, createdAt: 'now', updatedAt: 'now'
+        });
+        await store.saveCase(createCase(1, ['HIGH_AMOUNT_NON_USA', 'RAPID_TRANSACTIONS', 'RAPID_TRANSACTIONS'], 'CONFIRMED_FRAUD', 6000.5));
+        await store.saveCase(createCase(2, ['HIGH_AMOUNT_NON_USA'], 'FALSE_POSITIVE', 7000));
+
+        expect(await store.getCaseRuleStats()).toEqual({
+            HIGH_AMOUNT_NON_USA: { hits: 2, confirmedFraud: 1, falsePositive: 1, confirmedFraudAmount: 6000.5 },
+            RAPID_TRANSACTIONS: { hits: 1, confirmedFraud: 1, falsePositive: 0, confirmedFraudAmount: 6000.5 }
+        });
+    });
+
+    test('should count confirmed cases and total misses', async () => {
+        await store.saveCase({ id: 1, rules: [], resolution: 'CONFIRMED_FRAUD', status: 'CLOSED', assignee: null, createdAt: 'now', updatedAt: 'now' });
+        await store.saveCase({ id: 2, rules: [], resolution: null, status: 'OPEN', assignee: null, createdAt: 'now', updatedAt: 'now' });
+        await store.saveMiss({ transactionId: 'txn_8', reportedAt: '2025-01-15T10:30:00.000Z', normalizedAmount: 100.25 });
+        await store.saveMiss({ transactionId: 'txn_9', reportedAt: '2025-01-15T10:31:00.000Z', normalizedAmount: null });
+
+        expect(await store.countCases({ resolution: 'CONFIRMED_FRAUD' })).toBe(1);
+        expect(await store.countCases()).toBe(2);
+        expect(await store.getMissTotals()).toEqual({ count: 2, amount: 100.25 });
+    });
+
+    test('should aggregate rule statistics', async () => {
+        expect(await store.getRuleStats()).toEqual({
+            total: 2,
+            ruleBreakdown: { HIGH_AMOUNT_NON_USA: 1, RAPID_TRANSACTIONS: 1, ROUND_AMOUNT: 1 }
+        });
+    });
+});
+
+describe('SqliteFraudStore persistence', () => {
+    let dbPath;
+
+    beforeEach(() => {
+        dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fraud-store-')), 'fraud.db');
+    });
+
+    afterEach(() => {
+        fs.rmSync(path.dirname(dbPath), { recursive: true, force: true });
+    });
+
+    test('should keep fraud records across service restarts', async () => {
+        const transaction = {
+            transactionId: 'txn_1',
+            userId: 'user_1',
+            amount: 7400,
+            location: 'Nigeria',
+            timestamp: '2025-01-15T10:30:00Z'
+        };
+
+        const first = new FraudDetectionService({ store: new SqliteFraudStore({ dbPath }) });
+        await first.initialize();
+        await first.processTransaction(transaction);
+        await first.close();
+
+        const second = new FraudDetectionService({ store: new SqliteFraudStore({ dbPath }) });
+        await second.initialize();
+        const frauds = await second.getAllFraudulentTransactions();
+        const stats = await second.getStats();
+        await second.close();
+
+        expect(frauds).toHaveLength(1);
+        expect(frauds[0]).toMatchObject({ transactionId: 'txn_1', decision: 'REVIEW', riskScore: 50 });
+        expect(stats.ruleBreakdown).toEqual({ HIGH_AMOUNT_NON_USA: 1 });
+    });
+
+    test('should not roll back writes made while another transaction is open', async () => {
+        const store = new SqliteFraudStore({ dbPath });
+        await store.initialize();
+
+        const run = store.run.bind(store);
+        let begun;
+        const began = new Promise(resolve => { begun = resolve; });
+        jest.spyOn(store, 'run').mockImplementation((sql, params) => {
+            const result = run(sql, params);
+            if (sql === 'BEGIN') {
+                begun();
+            }
+            return result;
+        });
+
+        // The violation insert fails on its NOT NULL severity, rolling the record back; the webhook is
+        // saved while that transaction is open
+        const failing = store.saveFraudRecord(createRecord({ violations: [{ rule: 'BROKEN', severity: null }] }));
+        await began;
+        const saved = store.saveWebhook({ id: 'webhook_1', url: 'http://localhost/hook' });
+
+        await expect(failing).rejects.toThrow('NOT NULL');
+        await saved;
+        const webhooks = await store.getWebhooks();
+        const records = await store.getAll();
+        await store.close();
+
+        expect(webhooks.map(webhook => webhook.id)).toEqual(['webhook_1']);
+        expect(records).toHaveLength(0);
+    });
+
+    test('should load violations for more records than SQLite binds in one statement', async () => {
+        const store = new SqliteFraudStore({ dbPath });
+        await store.initialize();
+        await store.run(
+            `WITH RECURSIVE n (i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 33000)
+             INSERT INTO fraud_records (transaction_id, user_id, amount, location, timestamp, detected_at, record)
+             SELECT 'txn_' || i, 'user_1', 6000, 'Nigeria', '2025-01-15T10:30:00.000Z', '2025-01-15T10:30:01.000Z',
+                    json_object('transactionId', 'txn_' || i)
+             FROM n`
+        );
+        await store.run("INSERT INTO fraud_violations (fraud_record_id, rule, severity) SELECT id, 'HIGH_AMOUNT_NON_USA', 'HIGH' FROM fraud_records");
+
+        const records = await store.getAll({ userId: 'user_1' });
+        await store.close();
+
+        expect(records).toHaveLength(33000);
+        expect(records.every(record => record.violations.length === 1)).toBe(true);
+    });
+
+    test('should restore rule set versions and the active one across service restarts', async () => {
+        const strict = {
+            version: 'strict-1',
+            rules: [{ name: 'ANY_AMOUNT', severity: 'HIGH', condition: { field: 'amount', operator: 'gt', value: 0 } }]
+        };
+        const transaction = { transactionId: 'txn_1', userId: 'user_1', amount: 100, location: 'USA', timestamp: '2025-01-15T10:30:00Z' };
+
+        const first = new FraudDetectionService({ store: new SqliteFraudStore({ dbPath }) });
+        await first.initialize();
+        await first.getRuleSetManager().upload(strict);
+        await first.getRuleSetManager().activate('strict-1');
+        await first.close();
+
+        const second = new FraudDetectionService({ store: new SqliteFraudStore({ dbPath }) });
+        await second.initialize();
+        const restored = second.getRuleSetManager();
+        const result = await second.processTransaction(transaction);
+        expect(restored.activeVersion).toBe('strict-1');
+        expect(restored.list().map(version => version.version)).toEqual(['1', 'strict-1']);
+        expect(result.violations.map(violation => violation.rule)).toEqual(['ANY_AMOUNT']);
+
+        // A rollback is persisted like an activation
+        await restored.rollback();
+        await second.close();
+
+        const third = new FraudDetectionService({ store: new SqliteFraudStore({ dbPath }) });
+        await third.initialize();
+        expect(third.getRuleSetManager().activeVersion).toBe('1');
+        expect(third.getRuleSetManager().get('strict-1').ruleSet.rules[0].name).toBe('ANY_AMOUNT');
+        await third.close();
+    });
+
+    test('should apply each migration once', async () => {
+        const store = new SqliteFraudStore({ dbPath });
+        await store.initialize();
+        await store.close();
+
+        await store.initialize();
+        const rows = await store.all('SELECT version FROM schema_migrations');
+        await store.close();
+
+        expect(rows.map(row => row.version)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+    });
+
+    test('should backfill open cases for fraud records stored before cases existed', async () => {
+        const legacy = new SqliteFraudStore({ dbPath });
+        await legacy.initialize();
+        const { id } = await legacy.saveFraudRecord(createRecord({ normalizedAmount: 6180, currency: 'EUR' }));
+        await legacy.run('DELETE FROM cases');
+        await legacy.run('DELETE FROM schema_migrations WHERE version = 7');
+        await legacy.close();
+
+        const fraudService = new FraudDetectionService({ store: new SqliteFraudStore({ dbPath }) });
+        await fraudService.initialize();
+        const backfilled = await fraudService.getCaseManager().get(id);
+        const chargeback = await fraudService.processChargeback({ transactionId: 'txn_1' });
+        await fraudService.close();
+
+        expect(backfilled).toMatchObject({
+            id,
+            transactionId: 'txn_1',
+            userId: 'user_1',
+            riskScore: 90,
+            decision: 'DECLINE',
+            amount: 6180,
+            rules: ['HIGH_AMOUNT_NON_USA', 'RAPID_TRANSACTIONS'],
+            status: 'OPEN',
+            resolution: null,
+            notes: [],
+            history: [expect.objectContaining({ from: null, to: 'OPEN', actor: 'system' })]
+        });
+        expect(chargeback.outcome).toBe('labelled');
+    });
+});
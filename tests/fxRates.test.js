@@ -0,0 +1,100 @@
+const express = require('express');
+const request = require('supertest');
+const fxRoutes = require('../src/routes/fxRoutes');
+const FxRateTable = require('../src/fx/fxRateTable');
+const FraudDetectionService = require('../src/services/fraudDetectionService');
+const metrics = require('../src/utils/metrics');
+
+const createTransaction = (overrides = {}) => ({
+    transactionId: 'txn_1',
+    userId: 'user_1',
+    location: 'Nigeria',
+    timestamp: '2025-01-15T10:30:00Z',
+    schemaVersion: 2,
+    ...overrides
+});
+
+describe('FX normalization', () => {
+    let fraudService;
+    let app;
+
+    beforeEach(() => {
+        fraudService = new FraudDetectionService({
+            fxRates: new FxRateTable({ baseCurrency: 'USD', asOf: '2025-01-15', rates: { JPY: 0.0064, EUR: 1.03 } })
+        });
+
+        app = express();
+        app.use(express.json());
+        app.set('fraudDetectionService', fraudService);
+        app.use('/', fxRoutes);
+    });
+
+    test('should convert amounts to the base currency', () => {
+        const fxRates = fraudService.getFxRates();
+
+        expect(fxRates.convert(5000, 'JPY')).toEqual({ amount: 32, rate: 0.0064, baseCurrency: 'USD' });
+        expect(fxRates.convert(5000).amount).toBe(5000);
+        expect(() => fxRates.convert(10, 'XYZ')).toThrow('Unsupported currency: XYZ');
+    });
+
+    test('should evaluate rules on the normalized amount and store both amounts', async () => {
+        const yen = await fraudService.processTransaction(createTransaction({ amount: 6000, currency: 'JPY' }));
+        const euros = await fraudService.processTransaction(createTransaction({
+            transactionId: 'txn_2',
+            userId: 'user_2',
+            amount: 5500,
+            currency: 'EUR'
+        }));
+
+        expect(yen.isSuspicious).toBe(false);
+        expect(euros.violations.map(v => v.rule)).toEqual(['HIGH_AMOUNT_NON_USA']);
+
+        const [record] = await fraudService.getFraudulentTransactionsByUserId('user_2');
+        expect(record).toMatchObject({
+            amount: 5500,
+            currency: 'EUR',
+            normalizedAmount: 5665,
+            baseCurrency: 'USD',
+            fxRate: 1.03
+        });
+    });
+
+    test('should evaluate currencies missing from the table on the raw amount', async () => {
+        const result = await fraudService.processTransaction(createTransaction({ amount: 6500, currency: 'THB' }));
+
+        expect(result.violations.map(v => v.rule)).toContain('HIGH_AMOUNT_NON_USA');
+        expect(result.transaction).toMatchObject({
+            amount: 6500,
+            currency: 'THB',
+            normalizedAmount: 6500,
+            fxRate: null,
+            fxUnavailable: true
+        });
+        expect(await metrics.getMetrics()).toContain('fx_rate_unavailable_total{currency="THB"} 1');
+    });
+
+    test('should replace the rate table through the admin endpoint', async () => {
+        const refreshed = await request(app)
+            .post('/admin/fx-rates/refresh')
+            .send({ baseCurrency: 'USD', asOf: '2025-02-01', rates: { JPY: 0.0065 } });
+        expect(refreshed.status).toBe(200);
+        expect(refreshed.body.data).toMatchObject({ asOf: '2025-02-01', source: 'api', rates: { USD: 1, JPY: 0.0065 } });
+
+        const current = await request(app).get('/admin/fx-rates');
+        expect(current.body.data.rates).not.toHaveProperty('EUR');
+
+        const invalid = await request(app)
+            .post('/admin/fx-rates/refresh')
+            .send({ baseCurrency: 'USD', rates: { JPY: -1 } });
+        expect(invalid.status).toBe(400);
+        expect(fraudService.getFxRates().rates.JPY).toBe(0.0065);
+    });
+
+    test('should reload the rate file when no table is posted', async () => {
+        const response = await request(app).post('/admin/fx-rates/refresh');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.source).toBe(FxRateTable.DEFAULT_FX_RATES_PATH);
+        expect(response.body.data.rates.GBP).toBeDefined();
+    });
+});
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const incidentRoutes = require('../src/routes/incidentRoutes');
+const AlertPublisher = require('../src/kafka/alertPublisher');
+const FraudDetectionService = require('../src/services/fraudDetectionService');
+const metrics = require('../src/utils/metrics');
+const { SqliteFraudStore } = require('../src/storage');
+
+// One USA transaction a second: from the second on each one hits RAPID_TRANSACTIONS
+const createTransaction = (index, overrides = {}) => ({
+    transactionId: `txn_${index}`,
+    userId: 'user_1',
+    amount: 40 + index,
+    location: 'USA',
+    timestamp: new Date(Date.UTC(2025, 0, 15, 10, 30, index)).toISOString(),
+    ...overrides
+});
+
+describe('Incidents', () => {
+    let fraudService;
+    let producer;
+    let published;
+    let app;
+
+    const publishedEnvelopes = () => producer.send.mock.calls.map(([{ messages }]) => JSON.parse(messages[0].value));
+
+    const createService = async (incidents, publisherOptions) => {
+        fraudService = new FraudDetectionService({ incidents });
+        await fraudService.initialize();
+
+        producer = { send: jest.fn().mockResolvedValue([]) };
+        const publisher = new AlertPublisher(producer, publisherOptions);
+        published = [];
+        fraudService.on('decision', result => published.push(publisher.publish(result)));
+
+        app = express();
+        app.set('fraudDetectionService', fraudService);
+        app.use('/', incidentRoutes);
+    };
+
+    test('should roll repeated hits of a rule by one user into a single incident', async () => {
+        await createService({ windowSeconds: 600, suppressionSeconds: 3600 });
+
+        const results = [];
+        for (let index = 1; index <= 30; index++) {
+            results.push(await fraudService.processTransaction(createTransaction(index)));
+        }
+        await Promise.all(published);
+
+        // The first transaction is clean; only the first hits of RAPID_TRANSACTIONS and, from the
+        // sixth transaction on, CARD_TESTING notify
+        const flagged = results.filter(result => result.isSuspicious);
+        expect(flagged).toHaveLength(29);
+        expect(flagged.filter(result => !result.suppressed).map(result => result.transaction.transactionId))
+            .toEqual(['txn_2', 'txn_6']);
+
+        const response = await request(app).get('/incidents?userId=user_1&rule=rapid_transactions');
+        expect(response.status).toBe(200);
+        expect(response.body.count).toBe(1);
+        const [incident] = response.body.data;
+        expect(incident).toMatchObject({
+            userId: 'user_1',
+            rule: 'RAPID_TRANSACTIONS',
+            severity: 'HIGH',
+            count: 29,
+            firstSeen: '2025-01-15T10:30:02.000Z',
+            lastSeen: '2025-01-15T10:30:30.000Z',
+            // The CARD_TESTING alert on txn_6 also carried this incident
+            notifications: 2
+        });
+        expect(flagged.every(result => result.transaction.incidentIds.includes(incident.id))).toBe(true);
+        expect((await request(app).get('/incidents?rule=CARD_TESTING')).body.data[0].count).toBe(25);
+
+        // Every flagged decision reaches the alerts topic, carrying its incidents and whether it was suppressed
+        const envelopes = publishedEnvelopes();
+        expect(envelopes).toHaveLength(29);
+        expect(envelopes.filter(envelope => !envelope.suppressed).map(envelope => envelope.transaction.transactionId))
+            .toEqual(['txn_2', 'txn_6']);
+        expect(envelopes[0].incidents).toEqual([expect.objectContaining({ id: incident.id, rule: 'RAPID_TRANSACTIONS', count: 1 })]);
+
+        const output = await metrics.getMetrics();
+        expect(output).toContain('fraud_incidents_opened_total{rule="RAPID_TRANSACTIONS"}');
+        expect(output).toContain('alerts_suppressed_total{rule="RAPID_TRANSACTIONS"}');
+    });
+
+    test('should keep every grouped transaction queryable', async () => {
+        await createService({ windowSeconds: 600 });
+        for (let index = 1; index <= 5; index++) {
+            await fraudService.processTransaction(createTransaction(index));
+        }
+
+        expect(await fraudService.getFraudulentTransactionsByUserId('user_1')).toHaveLength(4);
+
+        const [incident] = await fraudService.getIncidentManager().list({ userId: 'user_1' });
+        const response = await request(app).get(`/incidents/${incident.id}/transactions`);
+        expect(response.status).toBe(200);
+        expect(response.body.data.map(record => record.transactionId)).toEqual(['txn_2', 'txn_3', 'txn_4', 'txn_5']);
+
+        expect((await request(app).get('/incidents/unknown')).status).toBe(404);
+    });
+
+    test('should open a new incident once hits fall outside the window', async () => {
+        await createService({ windowSeconds: 60 });
+
+        await fraudService.processTransaction(createTransaction(1));
+        await fraudService.processTransaction(createTransaction(2));
+        // Two minutes later the burst starts again
+        await fraudService.processTransaction(createTransaction(3, { timestamp: '2025-01-15T10:33:00Z' }));
+        const result = await fraudService.processTransaction(createTransaction(4, { timestamp: '2025-01-15T10:33:01Z' }));
+
+        const incidents = await fraudService.getIncidentManager().list({ rule: 'RAPID_TRANSACTIONS' });
+        expect(incidents.map(incident => incident.count)).toEqual([1, 1]);
+        expect(result.suppressed).toBe(false);
+
+        // A different rule for the same user is its own incident
+        const declined = await fraudService.processTransaction(createTransaction(5, {
+            timestamp: '2025-01-15T10:40:00Z',
+            amount: 6500,
+            location: 'Nigeria'
+        }));
+        expect(declined.incidents.map(incident => incident.rule)).toContain('HIGH_AMOUNT_NON_USA');
+        expect(declined.incidents.map(incident => incident.rule)).not.toContain('RAPID_TRANSACTIONS');
+        expect(declined.suppressed).toBe(false);
+    });
+
+    test('should notify again once the suppression window has passed', async () => {
+        await createService({ windowSeconds: 600, suppressionSeconds: 60 });
+        const incidents = fraudService.getIncidentManager();
+        const violations = [{ rule: 'RAPID_TRANSACTIONS', severity: 'HIGH' }];
+        const start = new Date('2025-01-15T10:30:00Z');
+
+        const first = await incidents.record(createTransaction(1), violations, start);
+        const second = await incidents.record(createTransaction(2), violations, new Date(start.getTime() + 30000));
+        const third = await incidents.record(createTransaction(3), violations, new Date(start.getTime() + 61000));
+
+        expect([first.suppressed, second.suppressed, third.suppressed]).toEqual([false, true, false]);
+        expect(third.incidents[0]).toMatchObject({ count: 3, notifications: 2, lastNotifiedAt: '2025-01-15T10:31:01.000Z' });
+    });
+
+    test('should publish every decision in "all" mode, flagging suppressed ones', async () => {
+        await createService({ windowSeconds: 600, suppressionSeconds: 3600 }, { mode: 'all' });
+
+        for (let index = 1; index <= 3; index++) {
+            await fraudService.processTransaction(createTransaction(index));
+        }
+        await Promise.all(published);
+
+        expect(publishedEnvelopes().map(({ eventType, suppressed }) => [eventType, suppressed])).toEqual([
+            ['fraud.decision', false],
+            ['fraud.alert', false],
+            ['fraud.alert', true]
+        ]);
+    });
+
+    test('should notify on every hit without a suppression window', async () => {
+        await createService({ windowSeconds: 600, suppressionSeconds: 0 });
+
+        const results = [];
+        for (let index = 1; index <= 3; index++) {
+            results.push(await fraudService.processTransaction(createTransaction(index)));
+        }
+
+        expect(results.map(result => result.suppressed)).toEqual([undefined, false, false]);
+        expect((await fraudService.getIncidentManager().list())[0].count).toBe(2);
+    });
+});
+
+describe('Incident persistence', () => {
+    let dbPath;
+
+    beforeEach(() => {
+        dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fraud-incidents-')), 'fraud.db');
+    });
+
+    afterEach(() => {
+        fs.rmSync(path.dirname(dbPath), { recursive: true, force: true });
+    });
+
+    test('should keep grouping and suppression across service restarts', async () => {
+        const incidents = { windowSeconds: 600, suppressionSeconds: 3600 };
+
+        const first = new FraudDetectionService({ store: new SqliteFraudStore({ dbPath }), incidents });
+        await first.initialize();
+        await first.processTransaction(createTransaction(1));
+        await first.processTransaction(createTransaction(2));
+        await first.close();
+
+        // The velocity cache starts empty, so the next hit needs its own burst
+        const second = new FraudDetectionService({ store: new SqliteFraudStore({ dbPath }), incidents });
+        await second.initialize();
+        await second.processTransaction(createTransaction(3));
+        const result = await second.processTransaction(createTransaction(4));
+        const stored = await second.getIncidentManager().get(result.incidents[0].id);
+        await second.close();
+
+        expect(result.suppressed).toBe(true);
+        expect(stored).toMatchObject({ count: 2, notifications: 1, transactionIds: ['txn_2', 'txn_4'] });
+    });
+});
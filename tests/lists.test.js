@@ -0,0 +1,173 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const listRoutes = require('../src/routes/listRoutes');
+const FraudDetectionService = require('../src/services/fraudDetectionService');
+const { SqliteFraudStore } = require('../src/storage');
+
+const createTransaction = (overrides = {}) => ({
+    transactionId: 'txn_1',
+    userId: 'user_1',
+    amount: 6000,
+    location: 'Nigeria',
+    timestamp: '2025-01-15T10:30:00Z',
+    ...overrides
+});
+
+describe('Managed lists', () => {
+    let fraudService;
+    let app;
+
+    beforeEach(async () => {
+        fraudService = new FraudDetectionService();
+        await fraudService.initialize();
+
+        app = express();
+        app.use(express.json());
+        app.set('fraudDetectionService', fraudService);
+        app.use('/', listRoutes);
+    });
+
+    test('should create, update, list and delete entries', async () => {
+        const created = await request(app)
+            .post('/admin/lists')
+            .send({ list: 'watch', entityType: 'merchant', value: 'merchant_9', reason: 'Chargeback spike' });
+        expect(created.status).toBe(201);
+        const { id } = created.body.data;
+
+        const duplicate = await request(app)
+            .post('/admin/lists')
+            .send({ list: 'watch', entityType: 'merchant', value: 'merchant_9' });
+        expect(duplicate.status).toBe(409);
+
+        const updated = await request(app).put(`/admin/lists/${id}`).send({ reason: 'Confirmed fraud ring' });
+        expect(updated.body.data).toMatchObject({ id, value: 'merchant_9', reason: 'Confirmed fraud ring' });
+
+        const list = await request(app).get('/admin/lists?list=watch');
+        expect(list.body.count).toBe(1);
+
+        expect((await request(app).delete(`/admin/lists/${id}`)).status).toBe(200);
+        expect((await request(app).get(`/admin/lists/${id}`)).status).toBe(404);
+    });
+
+    test('should match entries by their current value after updates and deletes', async () => {
+        const lists = fraudService.getListManager();
+        const entry = await lists.create({ list: 'block', entityType: 'location', value: 'Nigeria' });
+
+        expect(lists.match({ location: ' nigeria ' }).map(match => match.id)).toEqual([entry.id]);
+
+        await lists.update(entry.id, { value: 'Ghana' });
+        expect(lists.match({ location: 'Nigeria' })).toEqual([]);
+        expect(lists.match({ location: 'GHANA' }).map(match => match.id)).toEqual([entry.id]);
+        // The old value is free again
+        await expect(lists.create({ list: 'block', entityType: 'location', value: 'Nigeria' })).resolves.toBeDefined();
+
+        await lists.remove(entry.id);
+        expect(lists.match({ location: 'Ghana' })).toEqual([]);
+    });
+
+    test('should reject invalid entries', async () => {
+        const response = await request(app)
+            .post('/admin/lists')
+            .send({ list: 'block', entityType: 'device', value: 'abc' });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error).toContain('entityType must be one of');
+    });
+
+    test('should import entries from CSV and report bad rows', async () => {
+        const csv = [
+            'list,entityType,value,reason,expiresAt,rules',
+            'block,location,North Korea,Sanctioned country,,',
+            'allow,user,user_vip,"Known traveller, verified",2999-01-01T00:00:00Z,HIGH_AMOUNT_NON_USA;IMPOSSIBLE_TRAVEL',
+            'block,user,,missing value,,'
+        ].join('\n');
+
+        const response = await request(app)
+            .post('/admin/lists/import')
+            .set('Content-Type', 'text/csv')
+            .send(csv);
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ imported: 2, failed: 1 });
+        expect(response.body.errors).toEqual([{ line: 4, error: 'value must be a non-empty string' }]);
+        expect(response.body.data[1]).toMatchObject({
+            reason: 'Known traveller, verified',
+            rules: ['HIGH_AMOUNT_NON_USA', 'IMPOSSIBLE_TRAVEL']
+        });
+    });
+
+    test('should always flag blocklisted locations and watchlisted merchants', async () => {
+        const lists = fraudService.getListManager();
+        await lists.create({ list: 'block', entityType: 'location', value: 'north korea', reason: 'Sanctions' });
+        await lists.create({ list: 'watch', entityType: 'merchant', value: 'merchant_9' });
+
+        const blocked = await fraudService.processTransaction(createTransaction({ amount: 25, location: 'North Korea' }));
+        const watched = await fraudService.processTransaction(createTransaction({
+            transactionId: 'txn_2',
+            userId: 'user_2',
+            amount: 25,
+            location: 'USA',
+            merchantId: 'merchant_9'
+        }));
+
+        expect(blocked).toMatchObject({ isSuspicious: true, decision: 'DECLINE', riskScore: 100 });
+        expect(blocked.violations[0]).toMatchObject({
+            rule: 'BLOCKLIST',
+            severity: 'CRITICAL',
+            description: 'location north korea is blocklisted: Sanctions'
+        });
+        expect(watched).toMatchObject({ isSuspicious: true, decision: 'REVIEW' });
+        expect(watched.violations.map(v => v.rule)).toEqual(['WATCHLIST']);
+    });
+
+    test('should let allowlisted users skip the listed rules until the entry expires', async () => {
+        const lists = fraudService.getListManager();
+        const entry = await lists.create({
+            list: 'allow',
+            entityType: 'user',
+            value: 'user_1',
+            rules: ['HIGH_AMOUNT_NON_USA'],
+            expiresAt: '2999-01-01T00:00:00Z'
+        });
+
+        const allowed = await fraudService.processTransaction(createTransaction());
+        expect(allowed.violations.map(v => v.rule)).toEqual(['ROUND_AMOUNT']);
+
+        await lists.update(entry.id, { expiresAt: '2000-01-01T00:00:00Z' });
+        const expired = await fraudService.processTransaction(createTransaction({
+            transactionId: 'txn_2',
+            timestamp: '2025-01-16T10:30:00Z'
+        }));
+        expect(expired.violations.map(v => v.rule)).toContain('HIGH_AMOUNT_NON_USA');
+    });
+});
+
+describe('Managed list persistence', () => {
+    let dbPath;
+
+    beforeEach(() => {
+        dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fraud-lists-')), 'fraud.db');
+    });
+
+    afterEach(() => {
+        fs.rmSync(path.dirname(dbPath), { recursive: true, force: true });
+    });
+
+    test('should keep list entries across service restarts', async () => {
+        const first = new FraudDetectionService({ store: new SqliteFraudStore({ dbPath }) });
+        await first.initialize();
+        const entry = await first.getListManager().create({ list: 'block', entityType: 'user', value: 'user_bad' });
+        await first.getListManager().update(entry.id, { reason: 'Account takeover' });
+        await first.close();
+
+        const second = new FraudDetectionService({ store: new SqliteFraudStore({ dbPath }) });
+        await second.initialize();
+        const entries = second.getListManager().list();
+        await second.close();
+
+        expect(entries).toEqual([expect.objectContaining({ id: entry.id, value: 'user_bad', reason: 'Account takeover' })]);
+    });
+});
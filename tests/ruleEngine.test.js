@@ -0,0 +1,335 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RuleEngine = require('../src/rules/ruleEngine');
+const { loadRuleSet } = require('../src/rules/ruleLoader');
+const FraudDetectionService = require('../src/services/fraudDetectionService');
+
+describe('RuleEngine', () => {
+    const ruleSet = {
+        version: '7',
+        rules: [
+            {
+                name: 'BIG_FOREIGN',
+                description: 'Amount {amount} outside allowed countries',
+                severity: 'HIGH',
+                condition: {
+                    all: [
+                        { field: 'amount', operator: 'gte', value: 2500 },
+                        { not: { field: 'location', operator: 'in', value: ['USA', 'Canada'] } }
+                    ]
+                }
+            },
+            {
+                name: 'TEST_USER',
+                severity: 'LOW',
+                condition: {
+                    any: [
+                        { field: 'userId', operator: 'matches', value: '^test_' },
+                        { field: 'amount', operator: 'lt', value: 1 }
+                    ]
+                }
+            },
+            {
+                name: 'DISABLED',
+                severity: 'LOW',
+                enabled: false,
+                condition: { field: 'amount', operator: 'gt', value: 0 }
+            }
+        ]
+    };
+
+    test('should evaluate nested boolean conditions', () => {
+        const engine = new RuleEngine(ruleSet);
+
+        const violations = engine.evaluate({ userId: 'test_1', amount: 3000, location: 'Nigeria' });
+
+        expect(violations.map(v => v.rule)).toEqual(['BIG_FOREIGN', 'TEST_USER']);
+        expect(violations[0].description).toBe('Amount 3000 outside allowed countries');
+        expect(violations[1].description).toBe('TEST_USER');
+    });
+
+    test('should skip disabled rules', () => {
+        const engine = new RuleEngine(ruleSet);
+
+        expect(engine.evaluate({ userId: 'user_1', amount: 100, location: 'USA' })).toHaveLength(0);
+    });
+
+    test('should reject unknown operators', () => {
+        expect(() => new RuleEngine({
+            rules: [{ name: 'BAD', severity: 'LOW', condition: { field: 'amount', operator: 'approx', value: 1 } }]
+        })).toThrow('unknown operator "approx"');
+    });
+
+    test('should reject invalid, oversized and backtracking-prone patterns', () => {
+        const withPattern = value => ({
+            rules: [{ name: 'PATTERN', severity: 'LOW', condition: { field: 'userId', operator: 'matches', value } }]
+        });
+
+        expect(() => new RuleEngine(withPattern('['))).toThrow('Rule PATTERN: invalid pattern');
+        expect(() => new RuleEngine(withPattern(42))).toThrow('requires a non-empty string pattern');
+        expect(() => new RuleEngine(withPattern('a'.repeat(257)))).toThrow('at most 256 characters');
+        expect(() => new RuleEngine(withPattern('^(a+)+$'))).toThrow('must not nest quantifiers');
+        expect(() => new RuleEngine(withPattern('^(\\d{3})+$'))).not.toThrow();
+    });
+
+    test('should reject non-numeric values for numeric operators and divisibleBy 0', () => {
+        const withCondition = (operator, value) => ({
+            rules: [{ name: 'NUMERIC', severity: 'LOW', condition: { field: 'amount', operator, value } }]
+        });
+
+        ['gt', 'gte', 'lt', 'lte', 'divisibleBy'].forEach(operator => {
+            expect(() => new RuleEngine(withCondition(operator, '5000')))
+                .toThrow(`Rule NUMERIC: operator "${operator}" requires a numeric value`);
+            expect(() => new RuleEngine(withCondition(operator, null))).toThrow('requires a numeric value');
+        });
+        expect(() => new RuleEngine(withCondition('gt', Infinity))).toThrow('requires a numeric value');
+        expect(() => new RuleEngine(withCondition('divisibleBy', 0))).toThrow('"divisibleBy" requires a non-zero value');
+        expect(() => new RuleEngine({
+            rules: [{ name: 'NESTED', severity: 'LOW', condition: { not: { field: 'amount', operator: 'lt', value: 'ten' } } }]
+        })).toThrow('Rule NESTED: operator "lt" requires a numeric value');
+        expect(() => new RuleEngine(withCondition('divisibleBy', 1000))).not.toThrow();
+    });
+
+    test('should reject duplicate rule names and invalid severities', () => {
+        const rule = { name: 'DUP', severity: 'LOW', condition: { field: 'amount', operator: 'gt', value: 1 } };
+
+        expect(() => new RuleEngine({ rules: [rule, rule] })).toThrow('Duplicate rule name: DUP');
+        expect(() => new RuleEngine({ rules: [{ ...rule, severity: 'URGENT' }] })).toThrow('severity must be one of');
+    });
+
+    test('should weight violations into a capped risk score and decision', () => {
+        const engine = new RuleEngine({
+            scoring: {
+                bands: [
+                    { decision: 'APPROVE', maxScore: 19 },
+                    { decision: 'REVIEW', maxScore: 59 },
+                    { decision: 'DECLINE', maxScore: 100 }
+                ]
+            },
+            rules: [
+                { name: 'A', severity: 'LOW', weight: 15, condition: { field: 'amount', operator: 'gt', value: 0 } },
+                { name: 'B', severity: 'HIGH', condition: { field: 'amount', operator: 'gt', value: 0 } },
+                { name: 'C', severity: 'CRITICAL', condition: { field: 'amount', operator: 'gt', value: 0 } }
+            ]
+        });
+
+        expect(engine.score([])).toEqual({ riskScore: 0, decision: 'APPROVE' });
+        expect(engine.score([{ rule: 'A' }])).toEqual({ riskScore: 15, decision: 'APPROVE' });
+        expect(engine.score([{ rule: 'A' }, { rule: 'B' }])).toEqual({ riskScore: 65, decision: 'DECLINE' });
+        expect(engine.score([{ rule: 'B' }, { rule: 'C' }])).toEqual({ riskScore: 100, decision: 'DECLINE' });
+    });
+
+    test('should reject score bands that do not cover the full range', () => {
+        expect(() => new RuleEngine({
+            scoring: { bands: [{ decision: 'APPROVE', maxScore: 50 }] },
+            rules: []
+        })).toThrow('The last scoring band must reach a maxScore of 100');
+    });
+
+    test('should reject velocity rules without a usable threshold or field', () => {
+        const velocityRule = { name: 'V', type: 'velocity', severity: 'LOW', windowSeconds: 60 };
+
+        expect(() => new RuleEngine({ rules: [velocityRule] })).toThrow('threshold must be a non-negative number');
+        expect(() => new RuleEngine({ rules: [{ ...velocityRule, aggregation: 'sum', threshold: 5 }] }))
+            .toThrow('"sum" aggregation requires a field');
+        expect(() => new RuleEngine({ rules: [{ ...velocityRule, aggregation: 'avg', threshold: 5 }] }))
+            .toThrow('aggregation must be one of count, sum, distinct');
+    });
+
+    test('should load a YAML rule file', () => {
+        const filePath = path.join(os.tmpdir(), `rules-${process.pid}.yaml`);
+        fs.writeFileSync(filePath, [
+            'version: 2',
+            'rules:',
+            '  - name: LARGE',
+            '    severity: MEDIUM',
+            '    condition: { field: amount, operator: gt, value: 100 }'
+        ].join('\n'));
+
+        try {
+            const loaded = loadRuleSet(filePath);
+            expect(loaded.version).toBe('2');
+            expect(loaded.rules[0]).toMatchObject({ name: 'LARGE', type: 'condition', enabled: true });
+        } finally {
+            fs.unlinkSync(filePath);
+        }
+    });
+});
+
+describe('FraudDetectionService with a custom rule set', () => {
+    test('should apply thresholds from the rule set', async () => {
+        const ruleEngine = new RuleEngine({
+            rules: [
+                {
+                    name: 'LARGE_AMOUNT',
+                    severity: 'MEDIUM',
+                    condition: { field: 'amount', operator: 'gt', value: 50 }
+                },
+                {
+                    name: 'BURST',
+                    type: 'velocity',
+                    description: '{count} transactions in {windowSeconds}s',
+                    severity: 'HIGH',
+                    windowSeconds: 60,
+                    maxTransactions: 2
+                }
+            ]
+        });
+        const fraudService = new FraudDetectionService({ ruleEngine });
+        const base = { userId: 'user_1', location: 'USA', timestamp: '2025-01-15T10:30:00Z' };
+
+        const first = await fraudService.processTransaction({ ...base, transactionId: 'txn_1', amount: 10 });
+        await fraudService.processTransaction({ ...base, transactionId: 'txn_2', amount: 10 });
+        const third = await fraudService.processTransaction({ ...base, transactionId: 'txn_3', amount: 75 });
+
+        expect(first.isSuspicious).toBe(false);
+        expect(third.violations.map(v => v.rule)).toEqual(['LARGE_AMOUNT', 'BURST']);
+        expect(third.violations[1].description).toBe('3 transactions in 60s');
+    });
+
+    test('should aggregate amounts and distinct locations over separate windows', async () => {
+        const ruleEngine = new RuleEngine({
+            rules: [
+                {
+                    name: 'DRAIN',
+                    type: 'velocity',
+                    description: 'Spent {value} in {windowSeconds}s',
+                    severity: 'HIGH',
+                    aggregation: 'sum',
+                    field: 'amount',
+                    windowSeconds: 3600,
+                    threshold: 1000
+                },
+                {
+                    name: 'HOPPING',
+                    type: 'velocity',
+                    severity: 'MEDIUM',
+                    aggregation: 'distinct',
+                    field: 'location',
+                    windowSeconds: 86400,
+                    threshold: 2
+                }
+            ]
+        });
+        const fraudService = new FraudDetectionService({ ruleEngine });
+        const base = { userId: 'user_1', amount: 400 };
+
+        await fraudService.processTransaction({ ...base, transactionId: 'txn_1', location: 'USA', timestamp: '2025-01-15T08:00:00Z' });
+        await fraudService.processTransaction({ ...base, transactionId: 'txn_2', location: 'USA', timestamp: '2025-01-15T10:00:00Z' });
+        const third = await fraudService.processTransaction({ ...base, transactionId: 'txn_3', location: 'Canada', timestamp: '2025-01-15T10:20:00Z' });
+        const fourth = await fraudService.processTransaction({ ...base, transactionId: 'txn_4', location: 'Mexico', timestamp: '2025-01-15T10:40:00Z' });
+
+        expect(third.isSuspicious).toBe(false);
+        expect(fourth.violations).toEqual([
+            {
+                rule: 'DRAIN',
+                description: 'Spent 1200 in 3600s',
+                severity: 'HIGH',
+                aggregation: 'sum',
+                field: 'amount',
+                value: 1200,
+                threshold: 1000
+            },
+            expect.objectContaining({ rule: 'HOPPING', value: 3 })
+        ]);
+    });
+
+    test('should flag impossible travel between consecutive transactions', async () => {
+        const ruleEngine = new RuleEngine({
+            rules: [{
+                name: 'IMPOSSIBLE_TRAVEL',
+                type: 'geoVelocity',
+                description: '{fromLocation} to {toLocation}: {distanceKm} km in {minutes} minutes',
+                severity: 'HIGH',
+                maxSpeedKmh: 1000,
+                minDistanceKm: 500
+            }]
+        });
+        const fraudService = new FraudDetectionService({ ruleEngine });
+        const base = { userId: 'user_1', amount: 10 };
+
+        await fraudService.processTransaction({ ...base, transactionId: 'txn_1', location: 'London', timestamp: '2025-01-15T10:00:00Z' });
+        const lagos = await fraudService.processTransaction({ ...base, transactionId: 'txn_2', location: 'Lagos', timestamp: '2025-01-15T10:20:00Z' });
+        const paris = await fraudService.processTransaction({
+            ...base,
+            transactionId: 'txn_3',
+            location: 'France',
+            latitude: 48.86,
+            longitude: 2.35,
+            timestamp: '2025-01-16T10:00:00Z'
+        });
+
+        expect(lagos.violations).toEqual([{
+            rule: 'IMPOSSIBLE_TRAVEL',
+            description: 'London to Lagos: 5013 km in 20 minutes',
+            severity: 'HIGH',
+            distanceKm: 5013,
+            speedKmh: 15039,
+            otherTransactionId: 'txn_1',
+            otherLocation: 'London'
+        }]);
+        expect(paris.isSuspicious).toBe(false);
+    });
+
+    test('should flag repeated amounts just below a threshold across days', async () => {
+        const ruleEngine = new RuleEngine({
+            rules: [{
+                name: 'STRUCTURING',
+                type: 'structuring',
+                description: '{count} transfers just below {threshold} (total {totalAmount})',
+                severity: 'HIGH',
+                thresholds: [10000, 5000],
+                bandPercent: 10,
+                windowSeconds: 7 * 86400,
+                minTransactions: 3
+            }]
+        });
+        const fraudService = new FraudDetectionService({ ruleEngine, allowedLatenessSeconds: 86400 });
+        const base = { userId: 'user_1', location: 'USA' };
+
+        const results = [];
+        for (const [index, [amount, day]] of [[9900, 10], [4990, 11], [12000, 11], [9950, 13]].entries()) {
+            results.push(await fraudService.processTransaction({
+                ...base,
+                transactionId: `txn_${index}`,
+                amount,
+                timestamp: `2025-01-${day}T10:00:00Z`
+            }));
+        }
+
+        expect(results.slice(0, 3).every(result => !result.isSuspicious)).toBe(true);
+        expect(results[3].violations).toEqual([{
+            rule: 'STRUCTURING',
+            description: '3 transfers just below 10000 (total 24840)',
+            severity: 'HIGH',
+            transactionCount: 3,
+            threshold: 10000,
+            totalAmount: 24840
+        }]);
+
+        // Only the in-band amounts are held for the 7-day window; the velocity cache keeps its short retention
+        expect(fraudService.structuringCandidates.get('user_user_1').map(event => event.transactionId))
+            .toEqual(['txn_0', 'txn_1', 'txn_3']);
+        expect(fraudService.userTransactionCache.get('user_user_1').events.map(event => event.transactionId))
+            .toEqual(['txn_3']);
+    });
+
+    test('should flag structuring with the default rule set', async () => {
+        const fraudService = new FraudDetectionService();
+        const base = { userId: 'user_1', location: 'USA' };
+
+        const results = [];
+        for (const [index, [amount, day]] of [[9650, 10], [9720, 12], [9880, 14]].entries()) {
+            results.push(await fraudService.processTransaction({
+                ...base,
+                transactionId: `txn_${index}`,
+                amount,
+                timestamp: `2025-01-${day}T10:00:00Z`
+            }));
+        }
+
+        expect(results[2].isSuspicious).toBe(true);
+        expect(results[2].violations.map(violation => violation.rule)).toEqual(['STRUCTURING']);
+    });
+});
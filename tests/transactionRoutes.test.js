@@ -0,0 +1,157 @@
+const express = require('express');
+const request = require('supertest');
+const transactionRoutes = require('../src/routes/transactionRoutes');
+const FraudDetectionService = require('../src/services/fraudDetectionService');
+const metrics = require('../src/utils/metrics');
+
+const createApp = (fraudService) => {
+    const app = express();
+    app.use(express.json());
+    app.set('fraudDetectionService', fraudService);
+    app.use('/', transactionRoutes);
+    return app;
+};
+
+describe('Transaction routes', () => {
+    let fraudService;
+    let app;
+
+    const transaction = {
+        transactionId: 'txn_1',
+        userId: 'user_1',
+        amount: 6000,
+        location: 'Nigeria',
+        timestamp: '2025-01-15T10:30:00Z'
+    };
+
+    beforeEach(() => {
+        fraudService = new FraudDetectionService();
+        app = createApp(fraudService);
+    });
+
+    describe('POST /transactions/evaluate', () => {
+        test('should return violations and the decision inline', async () => {
+            const response = await request(app).post('/transactions/evaluate').send(transaction);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toMatchObject({
+                transactionId: 'txn_1',
+                isSuspicious: true,
+                decision: 'DECLINE',
+                riskScore: 70,
+                ruleSetVersion: '1',
+                dryRun: false
+            });
+            expect(response.body.data.violations.map(v => v.rule)).toEqual(['HIGH_AMOUNT_NON_USA', 'ROUND_AMOUNT']);
+            expect(await fraudService.getAllFraudulentTransactions()).toHaveLength(1);
+        });
+
+        test('should leave the velocity cache and fraud store untouched on a dry run', async () => {
+            const first = await request(app).post('/transactions/evaluate?dryRun=true').send(transaction);
+            const second = await request(app)
+                .post('/transactions/evaluate?dryRun=true')
+                .send({ ...transaction, transactionId: 'txn_2' });
+
+            expect(first.body.data.dryRun).toBe(true);
+            expect(second.body.data.violations.map(v => v.rule)).not.toContain('RAPID_TRANSACTIONS');
+            expect(await fraudService.getAllFraudulentTransactions()).toHaveLength(0);
+            expect(fraudService.userTransactionCache.keys()).toHaveLength(0);
+        });
+
+        test('should not count validation errors of dry runs', async () => {
+            const validationErrors = async () => (await metrics.getMetrics())
+                .split('\n')
+                .filter(line => line.startsWith('transaction_validation_errors_total{'));
+            const invalid = { ...transaction, amount: -5 };
+
+            const before = await validationErrors();
+            const response = await request(app).post('/transactions/evaluate?dryRun=true').send(invalid);
+            expect(response.status).toBe(400);
+            expect(await validationErrors()).toEqual(before);
+
+            await request(app).post('/transactions/evaluate').send(invalid);
+            expect(await validationErrors()).not.toEqual(before);
+        });
+
+        test('should not count dry runs in the metrics', async () => {
+            await fraudService.getListManager().create({ list: 'block', entityType: 'location', value: 'Nigeria' });
+            const counters = async () => (await metrics.getMetrics())
+                .split('\n')
+                .filter(line => /^(fraud_decisions_total|list_matches_total|fraud_detections_total)\{/.test(line));
+
+            const before = await counters();
+            await request(app).post('/transactions/evaluate?dryRun=true').send(transaction);
+            expect(await counters()).toEqual(before);
+
+            await request(app).post('/transactions/evaluate').send(transaction);
+            expect(await counters()).not.toEqual(before);
+        });
+
+        test('should reject invalid transactions with 400', async () => {
+            const response = await request(app)
+                .post('/transactions/evaluate')
+                .send({ ...transaction, amount: -5 });
+
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe('Amount must be a positive number');
+            expect(response.body.errors).toEqual([
+                { path: '/amount', code: 'out_of_range', message: 'Amount must be a positive number' }
+            ]);
+        });
+    });
+
+    describe('POST /transactions/evaluate/batch', () => {
+        test('should evaluate a JSON array with per-item results', async () => {
+            const response = await request(app).post('/transactions/evaluate/batch').send([
+                transaction,
+                { ...transaction, transactionId: 'txn_2', amount: 'lots' },
+                null,
+                { ...transaction, transactionId: 'txn_3', userId: 'user_3', amount: 12, location: 'USA' }
+            ]);
+
+            expect(response.status).toBe(200);
+            expect(response.body.summary).toEqual({ total: 4, evaluated: 2, suspicious: 1, invalid: 2, failed: 0 });
+            expect(response.body.data.map(item => item.status)).toEqual(['evaluated', 'invalid', 'invalid', 'evaluated']);
+            expect(response.body.data[1]).toMatchObject({ index: 1, transactionId: 'txn_2', error: 'Amount must be a positive number' });
+            expect(response.body.data[3]).toMatchObject({ transactionId: 'txn_3', decision: 'APPROVE' });
+        });
+
+        test('should accept NDJSON bodies and report unparsable lines', async () => {
+            const body = [
+                JSON.stringify(transaction),
+                '{not json',
+                '',
+                JSON.stringify({ ...transaction, transactionId: 'txn_2' })
+            ].join('\n');
+
+            const response = await request(app)
+                .post('/transactions/evaluate/batch?dryRun=true')
+                .set('Content-Type', 'application/x-ndjson')
+                .send(body);
+
+            expect(response.status).toBe(200);
+            expect(response.body.summary).toMatchObject({ total: 3, evaluated: 2, invalid: 1 });
+            expect(response.body.data[1].error).toMatch(/^Invalid JSON/);
+            expect(await fraudService.getAllFraudulentTransactions()).toHaveLength(0);
+        });
+
+        test('should reject batches over the configured limit', async () => {
+            process.env.BATCH_EVALUATE_LIMIT = '2';
+            try {
+                const response = await request(app)
+                    .post('/transactions/evaluate/batch')
+                    .send([transaction, transaction, transaction]);
+
+                expect(response.status).toBe(413);
+            } finally {
+                delete process.env.BATCH_EVALUATE_LIMIT;
+            }
+        });
+
+        test('should reject bodies that are not a batch', async () => {
+            const response = await request(app).post('/transactions/evaluate/batch').send(transaction);
+
+            expect(response.status).toBe(400);
+        });
+    });
+});
@@ -0,0 +1,91 @@
+const express = require('express');
+const request = require('supertest');
+const userRoutes = require('../src/routes/userRoutes');
+const RuleEngine = require('../src/rules/ruleEngine');
+const FraudDetectionService = require('../src/services/fraudDetectionService');
+
+const ruleEngine = new RuleEngine({
+    rules: [{
+        name: 'UNUSUAL_BEHAVIOUR',
+        type: 'anomaly',
+        description: 'Unusual {anomalies}',
+        severity: 'MEDIUM',
+        minTransactions: 5,
+        maxAmountZScore: 3,
+        newLocation: true
+    }]
+});
+
+const history = [40, 50, 60, 50, 45].map((amount, index) => ({
+    transactionId: `txn_${index}`,
+    userId: 'user_1',
+    amount,
+    location: 'USA',
+    timestamp: `2025-01-1${index}T10:30:00Z`
+}));
+
+describe('User profiles', () => {
+    let fraudService;
+    let app;
+
+    beforeEach(async () => {
+        fraudService = new FraudDetectionService({ ruleEngine });
+        for (const transaction of history) {
+            await fraudService.processTransaction(transaction);
+        }
+
+        app = express();
+        app.set('fraudDetectionService', fraudService);
+        app.use('/', userRoutes);
+    });
+
+    test('should keep a running baseline per user', async () => {
+        const response = await request(app).get('/users/user_1/profile');
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toMatchObject({
+            userId: 'user_1',
+            transactionCount: 5,
+            amount: { mean: 49, min: 40, max: 60 },
+            locations: [{ location: 'USA', count: 5 }],
+            typicalHours: [10],
+            firstSeen: '2025-01-10T10:30:00.000Z',
+            lastSeen: '2025-01-14T10:30:00.000Z'
+        });
+        expect(response.body.data.amount.stdDev).toBeCloseTo(7.42, 2);
+    });
+
+    test('should flag amounts far outside the baseline and unseen locations', async () => {
+        const base = { userId: 'user_1', location: 'usa', timestamp: '2025-01-15T10:30:00Z' };
+
+        const usual = await fraudService.processTransaction({ ...base, transactionId: 'txn_usual', amount: 55 });
+        const large = await fraudService.processTransaction({ ...base, transactionId: 'txn_large', amount: 5000 });
+        const abroad = await fraudService.processTransaction({
+            ...base,
+            transactionId: 'txn_abroad',
+            amount: 50,
+            location: 'Brazil'
+        });
+
+        expect(usual.isSuspicious).toBe(false);
+        expect(large.violations).toEqual([expect.objectContaining({
+            rule: 'UNUSUAL_BEHAVIOUR',
+            description: 'Unusual amount',
+            anomalies: ['amount']
+        })]);
+        expect(abroad.violations[0].anomalies).toEqual(['location']);
+    });
+
+    test('should not update the profile on dry runs', async () => {
+        await fraudService.processTransaction({ ...history[0], transactionId: 'txn_dry' }, { dryRun: true });
+
+        expect(fraudService.getUserProfile('user_1').transactionCount).toBe(5);
+    });
+
+    test('should return 404 for users without a profile', async () => {
+        const response = await request(app).get('/users/unknown/profile');
+
+        expect(response.status).toBe(404);
+        expect(response.body.success).toBe(false);
+    });
+});
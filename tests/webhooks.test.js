@@ -0,0 +1,196 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const webhookRoutes = require('../src/routes/webhookRoutes');
+const WebhookManager = require('../src/webhooks/webhookManager');
+const FraudDetectionService = require('../src/services/fraudDetectionService');
+
+const createTransaction = (overrides = {}) => ({
+    transactionId: 'txn_1',
+    userId: 'user_1',
+    amount: 6500,
+    location: 'Nigeria',
+    timestamp: '2025-01-15T10:30:00Z',
+    ...overrides
+});
+
+// Local stand-in for a webhook receiver that answers with the queued status codes, then 200, after delayMs
+const startReceiver = async () => {
+    const receiver = { requests: [], statuses: [], delayMs: 0 };
+
+    receiver.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            receiver.requests.push({ headers: req.headers, body });
+            res.statusCode = receiver.statuses.shift() || 200;
+            setTimeout(() => res.end(), receiver.delayMs);
+        });
+    });
+
+    await new Promise(resolve => receiver.server.listen(0, '127.0.0.1', resolve));
+    receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hooks`;
+    return receiver;
+};
+
+describe('Webhooks', () => {
+    let receiver;
+    let fraudService;
+    let webhooks;
+    let app;
+
+    beforeEach(async () => {
+        receiver = await startReceiver();
+        fraudService = new FraudDetectionService({ webhooks: { retryBaseMs: 1, maxAttempts: 3 } });
+        await fraudService.initialize();
+        webhooks = fraudService.getWebhookManager();
+
+        app = express();
+        app.use(express.json());
+        app.set('fraudDetectionService', fraudService);
+        app.use('/', webhookRoutes);
+    });
+
+    afterEach(async () => {
+        await webhooks.flush();
+        if (receiver.server.listening) {
+            await new Promise(resolve => receiver.server.close(resolve));
+        }
+    });
+
+    test('should POST a signed alert envelope for flagged transactions', async () => {
+        const created = await request(app).post('/admin/webhooks').send({ url: receiver.url, secret: 'top-secret' });
+        expect(created.status).toBe(201);
+        expect(created.body.data.secret).toBe('top-secret');
+
+        await fraudService.processTransaction(createTransaction());
+        await fraudService.processTransaction(createTransaction({ transactionId: 'txn_2', userId: 'user_2', amount: 40, location: 'USA' }));
+        await webhooks.flush();
+
+        expect(receiver.requests).toHaveLength(1);
+        const { headers, body } = receiver.requests[0];
+        expect(headers['content-type']).toBe('application/json');
+        expect(headers[WebhookManager.HEADERS.event]).toBe('fraud.alert');
+        expect(headers[WebhookManager.HEADERS.signature])
+            .toBe(WebhookManager.sign('top-secret', headers[WebhookManager.HEADERS.timestamp], body));
+        expect(JSON.parse(body)).toMatchObject({
+            eventType: 'fraud.alert',
+            decision: 'REVIEW',
+            transaction: { transactionId: 'txn_1' }
+        });
+
+        const listed = await request(app).get(`/admin/webhooks/${created.body.data.id}`);
+        expect(listed.body.data.secret).toBeUndefined();
+    });
+
+    test('should only deliver transactions matching the filters', async () => {
+        await webhooks.create({ url: receiver.url, filters: { rules: ['ROUND_AMOUNT'] } });
+        await webhooks.create({ url: receiver.url, filters: { severities: ['CRITICAL'] } });
+        await webhooks.create({ url: receiver.url, filters: { minScore: 90 } });
+
+        await fraudService.processTransaction(createTransaction({ amount: 7000, location: 'USA' }));
+        await webhooks.flush();
+
+        expect(receiver.requests).toHaveLength(1);
+        expect(JSON.parse(receiver.requests[0].body).violations.map(v => v.rule)).toEqual(['ROUND_AMOUNT']);
+    });
+
+    test('should not deliver decisions suppressed by an incident', async () => {
+        await webhooks.create({ url: receiver.url });
+
+        const results = [];
+        for (let second = 0; second < 3; second++) {
+            results.push(await fraudService.processTransaction(createTransaction({
+                transactionId: `txn_${second}`,
+                timestamp: `2025-01-15T10:30:0${second}Z`
+            })));
+        }
+        await webhooks.flush();
+
+        // The third repeats the incidents the first two opened
+        expect(results.map(result => result.suppressed)).toEqual([false, false, true]);
+        expect(receiver.requests.map(({ body }) => JSON.parse(body).transaction.transactionId)).toEqual(['txn_0', 'txn_1']);
+    });
+
+    test('should retry failed deliveries with backoff and log every attempt', async () => {
+        const webhook = await webhooks.create({ url: receiver.url });
+        receiver.statuses.push(503, 500);
+
+        await fraudService.processTransaction(createTransaction());
+        await webhooks.flush();
+
+        const response = await request(app).get(`/admin/webhooks/${webhook.id}/deliveries`);
+        expect(response.status).toBe(200);
+        expect(response.body.data).toHaveLength(1);
+        expect(response.body.data[0]).toMatchObject({ status: 'DELIVERED', transactionId: 'txn_1' });
+        expect(response.body.data[0].attempts.map(attempt => attempt.statusCode)).toEqual([503, 500, 200]);
+
+        // Every attempt is signed afresh but carries the same delivery id
+        expect(new Set(receiver.requests.map(({ headers }) => headers[WebhookManager.HEADERS.deliveryId])).size).toBe(1);
+    });
+
+    test('should give up after the last attempt or on a client error', async () => {
+        const webhook = await webhooks.create({ url: receiver.url });
+        receiver.statuses.push(500, 500, 500);
+        await fraudService.processTransaction(createTransaction());
+        await webhooks.flush();
+
+        receiver.statuses.push(410);
+        await fraudService.processTransaction(createTransaction({ transactionId: 'txn_2', userId: 'user_2' }));
+        await webhooks.flush();
+
+        const failed = webhooks.getDeliveries(webhook.id, { status: 'FAILED' });
+        expect(failed.map(delivery => delivery.attempts.length).sort()).toEqual([1, 3]);
+        expect(receiver.requests).toHaveLength(4);
+    });
+
+    test('should record unreachable endpoints as failed attempts', async () => {
+        await new Promise(resolve => receiver.server.close(resolve));
+        const webhook = await webhooks.create({ url: receiver.url });
+
+        await fraudService.processTransaction(createTransaction());
+        await webhooks.flush();
+
+        const [delivery] = webhooks.getDeliveries(webhook.id);
+        expect(delivery.status).toBe('FAILED');
+        expect(delivery.attempts).toHaveLength(3);
+        expect(delivery.attempts[0]).toMatchObject({ ok: false, statusCode: null });
+    });
+
+    test('should time out slow endpoints and retry them', async () => {
+        const webhook = await webhooks.create({ url: receiver.url });
+        webhooks.timeoutMs = 20;
+        receiver.delayMs = 200;
+
+        await fraudService.processTransaction(createTransaction());
+        await webhooks.flush();
+
+        const [delivery] = webhooks.getDeliveries(webhook.id);
+        expect(delivery.status).toBe('FAILED');
+        expect(delivery.attempts).toHaveLength(3);
+        expect(delivery.attempts[0]).toMatchObject({ ok: false, statusCode: null, error: expect.stringMatching(/timeout/) });
+    });
+
+    test('should validate registrations', async () => {
+        expect((await request(app).post('/admin/webhooks').send({ url: 'ftp://example.com' })).status).toBe(400);
+        expect((await request(app).post('/admin/webhooks').send({
+            url: receiver.url,
+            filters: { severities: ['SEVERE'] }
+        })).status).toBe(400);
+        expect((await request(app).get('/admin/webhooks/unknown/deliveries')).status).toBe(404);
+    });
+
+    test('should stop delivering to deleted or inactive webhooks', async () => {
+        const inactive = await webhooks.create({ url: receiver.url, active: false });
+        const deleted = await webhooks.create({ url: receiver.url });
+        await request(app).delete(`/admin/webhooks/${deleted.id}`);
+
+        await fraudService.processTransaction(createTransaction());
+        await webhooks.flush();
+
+        expect(receiver.requests).toHaveLength(0);
+        expect((await request(app).get('/admin/webhooks')).body.data.map(webhook => webhook.id)).toEqual([inactive.id]);
+    });
+});